@@ -0,0 +1,227 @@
+/**
+ * Activity Signals
+ * Evidence of work that never shows up as a commit, merged into the commit
+ * timeline so sessions can start before the first commit or run past the last:
+ *
+ *   reflog    checkouts, rebases, amends, resets, merges and stashes recorded
+ *             in the HEAD and stash reflogs (plain commits are already in the log)
+ *   worktree  modification times of uncommitted (modified or untracked) files
+ *
+ * Signals look like commits without a hash, files or trailers, and are marked
+ * with `signal` (the source) and `kind`.
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const SIGNAL_SOURCES = ['reflog', 'worktree'];
+
+// Reflogs read for the reflog source
+const REFLOG_REFS = ['HEAD', 'refs/stash'];
+
+// Reflog subject prefixes and the activity they stand for; null means the
+// entry duplicates a commit that is already part of the timeline
+const REFLOG_KINDS = [
+  { pattern: /^commit \(amend\)/, kind: 'amend' },
+  { pattern: /^commit( \((initial|merge)\))?:/, kind: null },
+  { pattern: /^checkout:/, kind: 'checkout' },
+  { pattern: /^(rebase|pull --rebase)/, kind: 'rebase' },
+  { pattern: /^reset:/, kind: 'reset' },
+  { pattern: /^(merge|pull)/, kind: 'merge' },
+  { pattern: /^cherry-pick/, kind: 'cherry-pick' },
+  { pattern: /^revert/, kind: 'revert' },
+  { pattern: /^(WIP on|On) /, kind: 'stash' },
+  { pattern: /^(clone|branch):/, kind: null }
+];
+
+class ActivitySignals {
+  constructor(options = {}) {
+    this.sources = options.sources || SIGNAL_SOURCES;
+    this.identities = options.identities;
+    this.sources.forEach(source => {
+      if (!SIGNAL_SOURCES.includes(source)) {
+        throw new Error(`Unknown signal source "${source}". Available: ${SIGNAL_SOURCES.join(', ')}`);
+      }
+    });
+  }
+
+  /**
+   * Collect signals from all enabled sources within a date range, oldest first
+   */
+  collect(repository = '.', since = null, until = null) {
+    const range = this.resolveRange(repository, since, until);
+    const signals = [];
+
+    if (this.sources.includes('reflog')) {
+      signals.push(...this.readReflog(repository));
+    }
+    if (this.sources.includes('worktree')) {
+      signals.push(...this.readWorkingTree(repository));
+    }
+
+    return signals
+      .filter(signal => (!range.since || signal.date >= range.since) && (!range.until || signal.date <= range.until))
+      .sort((a, b) => a.date - b.date);
+  }
+
+  /**
+   * Turn --since/--until into dates; Git resolves relative dates ("last week")
+   */
+  resolveRange(repository, since, until) {
+    const range = { since: null, until: null };
+    if (!since && !until) {
+      return range;
+    }
+
+    const args = ['rev-parse'];
+    if (since) args.push(`--since=${since}`);
+    if (until) args.push(`--until=${until}`);
+
+    execFileSync('git', args, { cwd: repository, encoding: 'utf8' }).split('\n').forEach(line => {
+      const match = line.match(/^--(max|min)-age=(\d+)$/);
+      if (match) {
+        range[match[1] === 'max' ? 'since' : 'until'] = new Date(parseInt(match[2], 10) * 1000);
+      }
+    });
+    return range;
+  }
+
+  /**
+   * Reflog entries that stand for work not visible in the commit log
+   */
+  readReflog(repository) {
+    const signals = [];
+
+    REFLOG_REFS.forEach(ref => {
+      let output;
+      try {
+        output = execFileSync('git', ['reflog', 'show', '--date=unix', '--format=%gd%x00%gN%x00%gE%x00%gs', ref, '--'], {
+          cwd: repository,
+          encoding: 'utf8',
+          stdio: ['ignore', 'pipe', 'ignore'],
+          maxBuffer: 64 * 1024 * 1024
+        });
+      } catch (error) {
+        return; // no such reflog (e.g. nothing was ever stashed)
+      }
+
+      output.split('\n').filter(Boolean).forEach(line => {
+        const signal = this.parseReflogLine(line, ref);
+        if (signal) {
+          signals.push(signal);
+        }
+      });
+    });
+
+    return signals;
+  }
+
+  /**
+   * Parse one "selector NUL name NUL email NUL subject" reflog line
+   */
+  parseReflogLine(line, ref) {
+    const [selector, name, email, subject = ''] = line.split('\x00');
+    const timestamp = (selector || '').match(/@\{(\d+)\}$/);
+    if (!timestamp) {
+      return null;
+    }
+
+    const kind = ref === 'refs/stash' ? 'stash' : this.classifyReflogSubject(subject);
+    if (!kind) {
+      return null;
+    }
+
+    return this.createSignal('reflog', kind, new Date(parseInt(timestamp[1], 10) * 1000), name, email, subject);
+  }
+
+  /**
+   * Activity kind of a reflog subject, or null when it should be ignored
+   */
+  classifyReflogSubject(subject) {
+    const match = REFLOG_KINDS.find(entry => entry.pattern.test(subject));
+    return match ? match.kind : 'other';
+  }
+
+  /**
+   * Modification times of uncommitted files, attributed to the configured Git user
+   */
+  readWorkingTree(repository) {
+    let status;
+    let name;
+    let email;
+    try {
+      status = execFileSync('git', ['status', '--porcelain', '-z', '--untracked-files=all'], {
+        cwd: repository,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'ignore'],
+        maxBuffer: 64 * 1024 * 1024
+      });
+      name = this.readConfig(repository, 'user.name');
+      email = this.readConfig(repository, 'user.email');
+    } catch (error) {
+      return []; // bare repository or not a work tree
+    }
+
+    const entries = status.split('\x00');
+    const signals = [];
+
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      if (entry.length < 4) {
+        continue;
+      }
+      const state = entry.substring(0, 2);
+      const file = entry.substring(3);
+      if (state[0] === 'R' || state[0] === 'C') {
+        i++; // renames and copies are followed by their original path
+      }
+
+      try {
+        const { mtime } = fs.statSync(path.join(repository, file));
+        const label = state === '??' ? 'untracked' : 'modified';
+        signals.push(this.createSignal('worktree', label, mtime, name, email, `${label}: ${file}`));
+      } catch (error) {
+        // Deleted files have no modification time
+      }
+    }
+
+    return signals;
+  }
+
+  /**
+   * Value of a Git config key, or null when unset
+   */
+  readConfig(repository, key) {
+    try {
+      return execFileSync('git', ['config', key], { cwd: repository, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Build a commit-shaped timeline entry for a signal
+   */
+  createSignal(source, kind, date, name, email, subject) {
+    const identity = this.identities ? this.identities.resolve(name, email) : { name, email };
+    return {
+      signal: source,
+      kind,
+      date,
+      author: identity.name,
+      email: identity.email,
+      originalAuthor: name,
+      originalEmail: email,
+      subject,
+      message: subject,
+      parents: [],
+      worklog: {},
+      files: [],
+      stats: { filesChanged: 0, insertions: 0, deletions: 0, binaryFiles: 0 }
+    };
+  }
+}
+
+module.exports = ActivitySignals;
+module.exports.SIGNAL_SOURCES = SIGNAL_SOURCES;
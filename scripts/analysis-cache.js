@@ -0,0 +1,102 @@
+/**
+ * Analysis Cache
+ * Persists parsed commits, finalized sessions and excluded commits per
+ * repository so later runs only need to process commits added since the
+ * cached tips
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { resolveWorklogPath } = require('./worklog-home');
+
+// Bump when the cached session/commit shape changes
+const CACHE_VERSION = 11;
+
+class AnalysisCache {
+  constructor(options = {}) {
+    this.cacheDir = options.cacheDir || resolveWorklogPath('cache');
+  }
+
+  /**
+   * Cache file for a repository and the settings that shape its sessions
+   */
+  fileFor(repository, settings) {
+    const key = crypto.createHash('sha1')
+      .update(JSON.stringify({ repository: path.resolve(repository), settings }))
+      .digest('hex');
+    return path.join(this.cacheDir, `${key}.json`);
+  }
+
+  /**
+   * Load cached tips and sessions, or null when missing or unreadable
+   */
+  load(repository, settings) {
+    const file = this.fileFor(repository, settings);
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (data.version !== CACHE_VERSION) {
+        return null;
+      }
+      data.sessions.forEach(session => this.reviveSession(session));
+      data.excluded.forEach(commit => {
+        commit.date = new Date(commit.date);
+      });
+      return data;
+    } catch (error) {
+      console.error(`⚠️  Ignoring unreadable cache ${file}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Store tips, finalized sessions and excluded commits
+   */
+  save(repository, settings, { tips, sessions, excluded }) {
+    const file = this.fileFor(repository, settings);
+    fs.mkdirSync(this.cacheDir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+      version: CACHE_VERSION,
+      repository: path.resolve(repository),
+      settings,
+      tips,
+      updatedAt: new Date().toISOString(),
+      sessions,
+      excluded
+    }));
+    return file;
+  }
+
+  /**
+   * Remove the cache for a repository and settings
+   */
+  clear(repository, settings) {
+    const file = this.fileFor(repository, settings);
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  }
+
+  /**
+   * Turn serialized timestamps back into Date objects
+   */
+  reviveSession(session) {
+    session.start = new Date(session.start);
+    session.end = new Date(session.end);
+    session.commits.forEach(commit => {
+      commit.date = new Date(commit.date);
+      commit.authorDate = new Date(commit.authorDate);
+      commit.committerDate = new Date(commit.committerDate);
+    });
+    (session.signals || []).forEach(signal => {
+      signal.date = new Date(signal.date);
+    });
+    return session;
+  }
+}
+
+module.exports = AnalysisCache;
@@ -0,0 +1,231 @@
+/**
+ * Billing
+ * Turns session hours into billable time and money.
+ *
+ *   {
+ *     "client": "Acme Corp",
+ *     "currency": "EUR",
+ *     "rate": 80,
+ *     "rates": [
+ *       { "project": "Website", "rate": 95 },
+ *       { "author": "Jane Doe", "rate": 70 },
+ *       { "client": "Acme Corp", "activity": "support", "rate": 120 }
+ *     ],
+ *     "multipliers": { "evening": 1.25, "weekend": 1.5, "holiday": 2, "overtime": 1.5 },
+ *     "rounding": { "increment": 15, "mode": "up", "per": "session", "minimum": 30 }
+ *   }
+ *
+ * The most specific matching rate rule wins (most matching criteria; the first
+ * on ties), falling back to `rate`. Criteria compare case-insensitively against
+ * the client, the session's project and activity, and the author's name or email.
+ *
+ * Multipliers need a work calendar (see work-calendar.js): evening, weekend and
+ * holiday apply to the session's calendar category; overtime applies to the
+ * part of an author's billable time on a day beyond its scheduled hours. They do not stack,
+ * the higher one applies.
+ *
+ * Rounding works on minutes, per session or per author and day (the day's
+ * difference is booked on its last session). `increment` is 1, 6, 15, 30 or any other step,
+ * `mode` is up, nearest or down, and `minimum` is the smallest billable unit.
+ */
+
+const fs = require('fs');
+const { formatDate } = require('./time-zone');
+
+const RATE_CRITERIA = ['client', 'project', 'author', 'activity'];
+
+class BillingPolicy {
+  constructor(config = {}) {
+    this.client = config.client || null;
+    this.currency = config.currency || 'USD';
+    this.rate = config.rate != null ? config.rate : null;
+    this.rates = config.rates || [];
+    this.multipliers = config.multipliers || {};
+
+    const rounding = config.rounding || {};
+    this.rounding = {
+      increment: rounding.increment || 1,
+      mode: rounding.mode || 'up',
+      per: rounding.per || 'session',
+      minimum: rounding.minimum || 0
+    };
+    if (!['up', 'nearest', 'down'].includes(this.rounding.mode)) {
+      throw new Error(`Unknown rounding mode "${this.rounding.mode}". Use up, nearest or down`);
+    }
+    if (!['session', 'day'].includes(this.rounding.per)) {
+      throw new Error(`Unknown rounding scope "${this.rounding.per}". Use session or day`);
+    }
+  }
+
+  /**
+   * Load a billing policy from a JSON file; `overrides` replace settings such as the client
+   */
+  static fromFile(file, overrides = {}) {
+    return new BillingPolicy({ ...JSON.parse(fs.readFileSync(file, 'utf8')), ...overrides });
+  }
+
+  /**
+   * Hourly rate for a client, project, author and activity: { rate, rule }
+   */
+  resolveRate(context) {
+    const matches = value => candidate => candidate != null && String(candidate).toLowerCase() === String(value).toLowerCase();
+    let best = null;
+    let bestScore = -1;
+
+    this.rates.forEach((rule, index) => {
+      const criteria = RATE_CRITERIA.filter(key => rule[key] != null);
+      const matched = criteria.every(key => {
+        const values = key === 'author' ? [context.author, context.email] : [context[key]];
+        return values.some(matches(rule[key]));
+      });
+      if (matched && criteria.length > bestScore) {
+        best = { rate: rule.rate, rule: rule.name || criteria.map(key => `${key}=${rule[key]}`).join(', ') || `rate ${index + 1}` };
+        bestScore = criteria.length;
+      }
+    });
+
+    return best || { rate: this.rate, rule: 'default' };
+  }
+
+  /**
+   * Round billable minutes to the increment and apply the minimum unit
+   */
+  roundMinutes(minutes) {
+    if (minutes <= 0) {
+      return 0;
+    }
+    const { increment, mode, minimum } = this.rounding;
+    const round = { up: Math.ceil, nearest: Math.round, down: Math.floor }[mode];
+    // Tolerate floating point noise so 30.0000001 minutes do not round up to 45
+    const rounded = round(Math.round((minutes / increment) * 1e6) / 1e6) * increment;
+    return Math.max(rounded, minimum);
+  }
+
+  /**
+   * Add a `billing` entry to every session and return totals
+   * `calendar` (optional) provides categories and scheduled hours for multipliers
+   * Overtime and per-day rounding apply to each author's day on its own
+   */
+  applyTo(sessions, { timezone, calendar = null, project = null } = {}) {
+    const days = new Map(); // author and day => { day, sessions }
+    sessions.forEach(session => {
+      const day = formatDate(session.start, calendar ? calendar.timezone : timezone);
+      const key = JSON.stringify([session.author, day]);
+      const entry = days.get(key) || { day, sessions: [] };
+      entry.sessions.push(session);
+      days.set(key, entry);
+    });
+
+    days.forEach(({ day, sessions: daySessions }) => {
+      daySessions.sort((a, b) => new Date(a.start) - new Date(b.start));
+      const billable = this.billableMinutes(daySessions);
+      const scheduled = calendar ? calendar.scheduledHours(calendar.describeDay(day, new Date(`${day}T00:00:00Z`).getUTCDay())) * 60 : Infinity;
+      let worked = 0;
+
+      daySessions.forEach((session, index) => {
+        const overtime = Math.max(worked + billable[index] - Math.max(scheduled, worked), 0);
+        worked += billable[index];
+        session.billing = this.priceSession(session, billable[index], overtime, project);
+      });
+    });
+
+    return this.summarize(sessions);
+  }
+
+  /**
+   * Billable minutes of a day's sessions, rounded per session or per day
+   */
+  billableMinutes(daySessions) {
+    if (this.rounding.per === 'session') {
+      return daySessions.map(session => this.roundMinutes(session.duration));
+    }
+
+    const minutes = daySessions.map(session => session.duration);
+    const total = minutes.reduce((sum, value) => sum + value, 0);
+    const last = minutes.length - 1;
+    minutes[last] = Math.max(minutes[last] + this.roundMinutes(total) - total, 0);
+    return minutes;
+  }
+
+  /**
+   * Rate, multiplier and amount for one session
+   */
+  priceSession(session, billableMinutes, overtimeMinutes, defaultProject) {
+    const context = {
+      client: this.client,
+      project: session.project || defaultProject,
+      author: session.author,
+      email: session.email,
+      activity: session.activity
+    };
+    const { rate, rule } = this.resolveRate(context);
+    const category = session.calendar ? session.calendar.category : 'regular';
+    const multiplier = this.multipliers[category] || 1;
+    const overtimeMultiplier = Math.max(multiplier, this.multipliers.overtime || 1);
+    const regularMinutes = billableMinutes - overtimeMinutes;
+    const amount = rate == null
+      ? 0
+      : (rate / 60) * (regularMinutes * multiplier + overtimeMinutes * overtimeMultiplier);
+
+    return {
+      project: context.project || null,
+      rate,
+      rule,
+      currency: this.currency,
+      category,
+      multiplier,
+      billableMinutes,
+      billableHours: Math.round((billableMinutes / 60) * 100) / 100,
+      overtimeMinutes: Math.round(overtimeMinutes),
+      amount: Math.round(amount * 100) / 100
+    };
+  }
+
+  /**
+   * Billable hours and amounts in total and per project
+   */
+  summarize(sessions) {
+    const projects = new Map();
+    let minutes = 0;
+    let amount = 0;
+    let unrated = 0;
+
+    sessions.forEach(session => {
+      const billing = session.billing;
+      if (!billing) {
+        return;
+      }
+      minutes += billing.billableMinutes;
+      amount += billing.amount;
+      if (billing.rate == null) {
+        unrated++;
+      }
+      const key = billing.project;
+      const entry = projects.get(key) || { project: key, hours: 0, amount: 0 };
+      entry.hours += billing.billableMinutes / 60;
+      entry.amount += billing.amount;
+      projects.set(key, entry);
+    });
+
+    const round = value => Math.round(value * 100) / 100;
+    return {
+      client: this.client,
+      currency: this.currency,
+      rounding: this.rounding,
+      billableHours: round(minutes / 60),
+      amount: round(amount),
+      unratedSessions: unrated,
+      projects: [...projects.values()].map(entry => ({ ...entry, hours: round(entry.hours), amount: round(entry.amount) }))
+    };
+  }
+}
+
+/**
+ * Format an amount with its currency, e.g. "1,234.50 EUR"
+ */
+function formatAmount(amount, currency) {
+  return `${Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${currency}`;
+}
+
+module.exports = BillingPolicy;
+module.exports.formatAmount = formatAmount;
@@ -0,0 +1,450 @@
+#!/usr/bin/env node
+
+/**
+ * Estimation Calibrator
+ * Tunes GitTimeAnalyzer parameters against hours that were actually logged
+ * (hand-corrected timesheet CSVs or Kimai timesheet exports)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const GitTimeAnalyzer = require('./git-analyzer');
+const { resolveWorklogPath } = require('./worklog-home');
+const { resolveTimeZone, formatDate } = require('./time-zone');
+
+// Parameter values searched when none are given on the command line
+const DEFAULT_GRID = {
+    maxSessionGap: [0.5, 1, 1.5, 2, 3, 4],
+    defaultSessionTime: [15, 30, 45, 60],
+    minSessionTime: [0, 15, 30]
+};
+
+// Model parameter variations tried for each model
+const MODEL_PARAM_GRID = {
+    gap: [{}],
+    'lead-in': [{ leadInMinutes: 10 }, { leadInMinutes: 20 }, { leadInMinutes: 30 }],
+    churn: [{}, { minutesPerLine: 0.05 }, { minutesPerLine: 0.2 }],
+    capped: [{ maxSessionMinutes: 180 }, { maxSessionMinutes: 240 }, { maxSessionMinutes: 360 }]
+};
+
+class EstimationCalibrator {
+    constructor(options = {}) {
+        this.dateFormat = options.dateFormat || 'dmy'; // used when slash dates are ambiguous
+        this.grid = { ...DEFAULT_GRID, ...(options.grid || {}) };
+        this.models = options.models || Object.keys(MODEL_PARAM_GRID);
+        this.author = options.author || null;
+        this.aliasFile = options.aliasFile || null;
+        this.filtersFile = options.filtersFile || null;
+        this.timezone = resolveTimeZone(options.timezone); // zone the logged days were booked in
+    }
+
+    /**
+     * Load actual hours per day from timesheet CSV and Kimai JSON files
+     */
+    loadActuals(files) {
+        const daily = {};
+
+        files.forEach(file => {
+            const entries = file.toLowerCase().endsWith('.json')
+                ? this.readKimaiEntries(file)
+                : this.readTimesheetCSV(file);
+
+            entries.forEach(({ day, hours }) => {
+                daily[day] = (daily[day] || 0) + hours;
+            });
+            console.log(`📥 Loaded ${entries.length} logged entries from ${file}`);
+        });
+
+        return daily;
+    }
+
+    /**
+     * Read a timesheet CSV (as written by git-csv-exporter.js) into { day, hours } entries
+     */
+    readTimesheetCSV(file) {
+        const rows = this.parseCSV(fs.readFileSync(file, 'utf8'));
+        const headers = rows.shift().map(header => header.trim().toLowerCase());
+        const dateColumn = headers.indexOf('date');
+        const durationColumn = headers.findIndex(header => header.startsWith('duration'));
+
+        if (dateColumn === -1 || durationColumn === -1) {
+            throw new Error(`${file} needs "Date" and "Duration (hours)" columns`);
+        }
+
+        const dates = rows.map(row => row[dateColumn]);
+        const order = this.detectDateOrder(dates);
+
+        return rows
+            .filter(row => row[dateColumn] && row[durationColumn])
+            .map(row => ({
+                day: this.normalizeDate(row[dateColumn], order),
+                hours: parseFloat(row[durationColumn])
+            }))
+            .filter(entry => entry.day && !isNaN(entry.hours));
+    }
+
+    /**
+     * Read a Kimai timesheet export (JSON array from /api/timesheets) into { day, hours } entries
+     */
+    readKimaiEntries(file) {
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const entries = Array.isArray(data) ? data : (data.timesheets || []);
+
+        return entries
+            .filter(entry => entry.begin)
+            .map(entry => {
+                const begin = new Date(entry.begin);
+                const seconds = entry.duration != null
+                    ? entry.duration
+                    : (new Date(entry.end) - begin) / 1000;
+                return { day: this.dayKey(begin), hours: seconds / 3600 };
+            });
+    }
+
+    /**
+     * Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, embedded commas/newlines)
+     */
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(candidate => candidate.some(value => value.trim()));
+    }
+
+    /**
+     * Work out whether slash dates are day-first or month-first
+     */
+    detectDateOrder(dates) {
+        for (const date of dates) {
+            const parts = (date || '').split(/[/.-]/).map(Number);
+            if (parts.length === 3 && parts[0] <= 31) {
+                if (parts[0] > 12) return 'dmy';
+                if (parts[1] > 12) return 'mdy';
+            }
+        }
+        return this.dateFormat;
+    }
+
+    /**
+     * Normalize a CSV date to YYYY-MM-DD
+     */
+    normalizeDate(value, order) {
+        const text = value.trim();
+        if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+            return text.slice(0, 10);
+        }
+
+        const parts = text.split(/[/.-]/).map(part => parseInt(part, 10));
+        if (parts.length !== 3 || parts.some(isNaN)) {
+            return null;
+        }
+        const [day, month] = order === 'mdy' ? [parts[1], parts[0]] : [parts[0], parts[1]];
+        const year = parts[2] < 100 ? 2000 + parts[2] : parts[2];
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    /**
+     * Calendar day of a timestamp in the calibration time zone as YYYY-MM-DD
+     */
+    dayKey(date) {
+        return formatDate(date, this.timezone);
+    }
+
+    /**
+     * Every analyzer configuration in the search space
+     */
+    buildCandidates() {
+        const candidates = [];
+
+        this.grid.maxSessionGap.forEach(maxSessionGap => {
+            this.grid.defaultSessionTime.forEach(defaultSessionTime => {
+                this.grid.minSessionTime.forEach(minSessionTime => {
+                    this.models.forEach(model => {
+                        (MODEL_PARAM_GRID[model] || [{}]).forEach(modelParams => {
+                            candidates.push({ maxSessionGap, defaultSessionTime, minSessionTime, model, modelParams });
+                        });
+                    });
+                });
+            });
+        });
+
+        return candidates;
+    }
+
+    /**
+     * Compare estimated and actual hours over every day that has logged time
+     */
+    scoreCandidate(candidate, commits, actualDaily) {
+        const analyzer = new GitTimeAnalyzer({ ...candidate, cache: false, identities: this.identities });
+        const estimatedDaily = {};
+
+        analyzer.analyzeSessions(commits).forEach(session => {
+            const day = this.dayKey(session.start);
+            estimatedDaily[day] = (estimatedDaily[day] || 0) + session.duration / 60;
+        });
+
+        const days = Object.keys(actualDaily);
+        let absoluteError = 0;
+        let squaredError = 0;
+        let estimatedTotal = 0;
+        let actualTotal = 0;
+
+        days.forEach(day => {
+            const estimated = estimatedDaily[day] || 0;
+            const error = estimated - actualDaily[day];
+            absoluteError += Math.abs(error);
+            squaredError += error * error;
+            estimatedTotal += estimated;
+            actualTotal += actualDaily[day];
+        });
+
+        return {
+            settings: candidate,
+            mae: absoluteError / days.length,
+            rmse: Math.sqrt(squaredError / days.length),
+            estimatedHours: Math.round(estimatedTotal * 100) / 100,
+            actualHours: Math.round(actualTotal * 100) / 100,
+            bias: actualTotal > 0 ? (estimatedTotal - actualTotal) / actualTotal : 0
+        };
+    }
+
+    /**
+     * Search the parameter grid and return results ordered from best to worst
+     */
+    async calibrate(repository, actualFiles) {
+        const actualDaily = this.loadActuals(actualFiles);
+        const days = Object.keys(actualDaily).sort();
+        if (days.length === 0) {
+            throw new Error('No logged hours found in the actual timesheets');
+        }
+
+        // Read the history once; only days with logged time are compared
+        const reader = new GitTimeAnalyzer({
+            author: this.author,
+            aliasFile: this.aliasFile,
+            filtersFile: this.filtersFile,
+            cache: false
+        });
+        this.identities = reader.identities;
+        const since = `${days[0]}T00:00:00`;
+        const until = `${days[days.length - 1]}T23:59:59`;
+        const commits = (await reader.getCommits(since, until, repository))
+            .filter(commit => {
+                const verdict = reader.classifyCommit(commit);
+                if (verdict && verdict.action === 'weight') {
+                    commit.weight = verdict.weight;
+                }
+                return !verdict || verdict.action !== 'drop';
+            });
+
+        console.log(`📅 Comparing ${days.length} days (${days[0]} to ${days[days.length - 1]}) against ${commits.length} commits`);
+
+        const candidates = this.buildCandidates();
+        console.log(`🔬 Evaluating ${candidates.length} configurations...\n`);
+
+        return candidates
+            .map(candidate => this.scoreCandidate(candidate, commits, actualDaily))
+            .sort((a, b) => a.mae - b.mae || a.rmse - b.rmse);
+    }
+
+    /**
+     * Print the best configurations
+     */
+    printResults(results, limit = 10) {
+        console.log('🎯 CALIBRATION RESULTS (mean absolute error per day)');
+        console.log('='.repeat(70));
+        results.slice(0, limit).forEach((result, index) => {
+            const { maxSessionGap, defaultSessionTime, minSessionTime, model, modelParams } = result.settings;
+            const params = Object.entries(modelParams).map(([key, value]) => `${key}=${value}`).join(', ');
+            console.log(`${String(index + 1).padStart(2)}. MAE ${result.mae.toFixed(2)}h  RMSE ${result.rmse.toFixed(2)}h  ` +
+                `bias ${(result.bias * 100).toFixed(0)}%  | gap ${maxSessionGap}h, session ${defaultSessionTime}min, ` +
+                `min ${minSessionTime}min, ${model}${params ? ` (${params})` : ''}`);
+        });
+        console.log('='.repeat(70));
+    }
+
+    /**
+     * Save the best configuration as an analyzer config profile
+     */
+    saveProfile(results, outputFile, actualFiles) {
+        const best = results[0];
+        const profile = {
+            ...best.settings,
+            timezone: this.timezone,
+            calibration: {
+                calibratedAt: new Date().toISOString(),
+                actuals: actualFiles.map(file => path.resolve(file)),
+                mae: Math.round(best.mae * 1000) / 1000,
+                rmse: Math.round(best.rmse * 1000) / 1000,
+                bias: Math.round(best.bias * 1000) / 1000,
+                estimatedHours: best.estimatedHours,
+                actualHours: best.actualHours,
+                evaluated: results.length
+            }
+        };
+
+        fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+        fs.writeFileSync(outputFile, JSON.stringify(profile, null, 2));
+        console.log(`\n💾 Best-fit profile saved to: ${outputFile}`);
+        return outputFile;
+    }
+}
+
+// CLI Interface
+if (require.main === module) {
+    const args = process.argv.slice(2);
+
+    if (args.includes('--help') || args.length === 0) {
+        console.log(`
+🎯 Estimation Calibrator
+========================
+
+Find the analyzer settings that best reproduce hours you actually logged.
+
+Usage:
+  node calibrate.js <repository> --actual <file> [--actual <file> ...] [options]
+
+Options:
+  --actual <file>          Logged hours: timesheet CSV (Date + Duration columns) or Kimai timesheet JSON
+  --output <file>          Where to save the best-fit profile
+                           (default: ~/.freelancer-worklog/profiles/<repository>.json)
+  --author <name>          Only compare commits by this author
+  --aliases <file>         Identity alias file
+  --filters <file>         Commit filter rules applied before comparing
+  --timezone <zone>        Time zone the logged days refer to (default: system zone)
+  --date-format <dmy|mdy>  Order of ambiguous slash dates in CSVs (default: dmy)
+  --gaps <list>            Session gaps to try in hours (default: 0.5,1,1.5,2,3,4)
+  --session-times <list>   Default session minutes to try (default: 15,30,45,60)
+  --min-session-times <list>  Minimum session minutes to try (default: 0,15,30)
+  --models <list>          Estimation models to try (default: gap,lead-in,churn,capped)
+  --top <n>                Number of configurations to print (default: 10)
+
+Examples:
+  node calibrate.js . --actual corrected-timesheet.csv
+  node calibrate.js /path/to/repo --actual kimai-export.json --models gap,capped
+  node git-analyzer.js /path/to/repo --profile repo
+`);
+        process.exit(0);
+    }
+
+    const repositoryPath = args[0];
+    const actualFiles = [];
+    const options = { grid: {} };
+    let outputFile = null;
+    let top = 10;
+    const parseList = value => value.split(',').map(item => parseFloat(item));
+
+    for (let i = 1; i < args.length; i++) {
+        const arg = args[i];
+        if (arg.startsWith('--')) {
+            const key = arg.substring(2);
+            const value = args[i + 1];
+
+            switch (key) {
+                case 'actual':
+                    actualFiles.push(value);
+                    i++;
+                    break;
+                case 'output':
+                    outputFile = value;
+                    i++;
+                    break;
+                case 'author':
+                    options.author = value;
+                    i++;
+                    break;
+                case 'aliases':
+                    options.aliasFile = value;
+                    i++;
+                    break;
+                case 'filters':
+                    options.filtersFile = value;
+                    i++;
+                    break;
+                case 'timezone':
+                    options.timezone = value;
+                    i++;
+                    break;
+                case 'date-format':
+                    options.dateFormat = value;
+                    i++;
+                    break;
+                case 'gaps':
+                    options.grid.maxSessionGap = parseList(value);
+                    i++;
+                    break;
+                case 'session-times':
+                    options.grid.defaultSessionTime = parseList(value);
+                    i++;
+                    break;
+                case 'min-session-times':
+                    options.grid.minSessionTime = parseList(value);
+                    i++;
+                    break;
+                case 'models':
+                    options.models = value.split(',');
+                    i++;
+                    break;
+                case 'top':
+                    top = parseInt(value);
+                    i++;
+                    break;
+            }
+        }
+    }
+
+    if (actualFiles.length === 0) {
+        console.error('❌ Please specify at least one --actual timesheet');
+        process.exit(1);
+    }
+
+    const repoName = path.basename(path.resolve(repositoryPath));
+    outputFile = outputFile || resolveWorklogPath('profiles', `${repoName}.json`);
+    const calibrator = new EstimationCalibrator(options);
+
+    (async () => {
+        try {
+            const results = await calibrator.calibrate(repositoryPath, actualFiles);
+            calibrator.printResults(results, top);
+            calibrator.saveProfile(results, outputFile, actualFiles);
+        } catch (error) {
+            console.error('❌ Calibration failed:', error.message);
+            process.exit(1);
+        }
+    })();
+}
+
+module.exports = EstimationCalibrator;
@@ -0,0 +1,173 @@
+/**
+ * Commit Filters
+ * Rules that drop or down-weight commits before sessions are built.
+ *
+ * A rule matches when all of its criteria match:
+ *   authors    regexes tested against the canonical author name and email
+ *   messages   regexes tested against the full commit message
+ *   merges     true to match merge commits, false to match non-merges
+ *   paths      globs; matches when any changed path matches
+ *   onlyPaths  globs; matches when every changed path matches (e.g. lockfile-only commits)
+ *
+ * The first matching rule wins. Its action is "drop" (default) or "weight",
+ * which multiplies the commit's estimated time by `weight` (0-1).
+ *
+ *   {
+ *     "rules": [
+ *       { "name": "bots", "authors": ["dependabot", "renovate"] },
+ *       { "name": "lockfiles", "onlyPaths": ["package-lock.json", "yarn.lock"] },
+ *       { "name": "releases", "messages": ["^chore\\(release\\)"], "action": "weight", "weight": 0.25 }
+ *     ]
+ *   }
+ */
+
+const fs = require('fs');
+
+// Rules behind the CLI shortcut flags
+const PRESET_RULES = {
+  merges: { name: 'merge commits', merges: true },
+  bots: {
+    name: 'bot authors',
+    authors: ['\\[bot\\]', 'dependabot', 'renovate', 'greenkeeper', 'github-actions', 'snyk-bot']
+  },
+  lockfiles: {
+    name: 'lockfile-only changes',
+    onlyPaths: ['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'npm-shrinkwrap.json', 'composer.lock',
+      'Gemfile.lock', 'Cargo.lock', 'poetry.lock', 'go.sum']
+  }
+};
+
+/**
+ * Convert a glob to a RegExp: `**` spans directories, `*` and `?` stay within one.
+ * Patterns without a slash match the file name in any directory (like .gitignore).
+ */
+function globToRegExp(glob) {
+  let pattern = glob.includes('/') ? glob.replace(/^\//, '') : `**/${glob}`;
+  let regex = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      const slash = pattern[i + 2] === '/';
+      regex += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      regex += '[^/]*';
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else {
+      regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${regex}(?:/.*)?$`);
+}
+
+class CommitFilter {
+  constructor(rules = []) {
+    this.rules = rules.map((rule, index) => this.compileRule(rule, index));
+  }
+
+  /**
+   * Build a filter from a config object ({ rules }) and/or a rules file
+   */
+  static fromConfig(config = {}, file = null) {
+    const rules = [...(config.rules || [])];
+    if (file) {
+      rules.push(...(JSON.parse(fs.readFileSync(file, 'utf8')).rules || []));
+    }
+    return new CommitFilter(rules);
+  }
+
+  /**
+   * Rule for a CLI preset name (merges, bots, lockfiles)
+   */
+  static preset(name) {
+    if (!PRESET_RULES[name]) {
+      throw new Error(`Unknown filter preset "${name}". Available: ${Object.keys(PRESET_RULES).join(', ')}`);
+    }
+    return { ...PRESET_RULES[name] };
+  }
+
+  /**
+   * Pre-compile a rule's regexes and globs
+   */
+  compileRule(rule, index) {
+    const action = rule.action || 'drop';
+    if (action !== 'drop' && action !== 'weight') {
+      throw new Error(`Filter rule "${rule.name || index + 1}": unknown action "${action}"`);
+    }
+
+    return {
+      name: rule.name || `rule ${index + 1}`,
+      action,
+      weight: action === 'weight' ? (rule.weight != null ? rule.weight : 0.5) : 0,
+      source: rule,
+      authors: (rule.authors || []).map(pattern => new RegExp(pattern, 'i')),
+      messages: (rule.messages || []).map(pattern => new RegExp(pattern, 'im')),
+      merges: rule.merges,
+      paths: (rule.paths || []).map(globToRegExp),
+      onlyPaths: (rule.onlyPaths || []).map(globToRegExp)
+    };
+  }
+
+  /**
+   * Why a rule matches a commit, or null when it does not
+   */
+  matchRule(rule, commit) {
+    const reasons = [];
+    // Finalized commits (re-opened from the cache) keep only their paths
+    const paths = commit.paths || (commit.files || []).map(file => file.path);
+
+    if (rule.authors.length > 0) {
+      const author = rule.authors.find(regex => regex.test(commit.author) || regex.test(commit.email));
+      if (!author) return null;
+      reasons.push(`author matches /${author.source}/`);
+    }
+    if (rule.messages.length > 0) {
+      const message = [commit.subject || commit.message, commit.body].filter(Boolean).join('\n');
+      const pattern = rule.messages.find(regex => regex.test(message));
+      if (!pattern) return null;
+      reasons.push(`message matches /${pattern.source}/`);
+    }
+    if (rule.merges != null) {
+      const isMerge = (commit.parents || []).length > 1;
+      if (isMerge !== rule.merges) return null;
+      reasons.push(isMerge ? 'merge commit' : 'not a merge');
+    }
+    if (rule.paths.length > 0) {
+      if (!paths.some(file => rule.paths.some(regex => regex.test(file)))) return null;
+      reasons.push('touches matching paths');
+    }
+    if (rule.onlyPaths.length > 0) {
+      if (paths.length === 0 || !paths.every(file => rule.onlyPaths.some(regex => regex.test(file)))) return null;
+      reasons.push('only touches matching paths');
+    }
+
+    return reasons.length > 0 ? reasons.join(', ') : null;
+  }
+
+  /**
+   * First matching rule for a commit: { action, weight, rule, reason } or null
+   */
+  evaluate(commit) {
+    for (const rule of this.rules) {
+      const reason = this.matchRule(rule, commit);
+      if (reason) {
+        return { action: rule.action, weight: rule.weight, rule: rule.name, reason: `${rule.name}: ${reason}` };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Rule definitions, for cache keys and reports
+   */
+  fingerprint() {
+    return this.rules.map(rule => rule.source);
+  }
+}
+
+module.exports = CommitFilter;
+module.exports.globToRegExp = globToRegExp;
+module.exports.PRESET_RULES = PRESET_RULES;
@@ -0,0 +1,125 @@
+/**
+ * Estimation Models
+ * Strategies that turn the commits of a session into minutes worked.
+ *
+ * A model estimates a share for every commit (`shares`) and may adjust the
+ * session total afterwards (`total`). Commits with a Time-Spent trailer keep
+ * their explicit time regardless of the model.
+ */
+
+class GapModel {
+  constructor(params = {}) {
+    this.params = params;
+  }
+
+  /**
+   * First commit gets the default session time, later commits the time since the previous commit
+   */
+  shares(commits, analyzer) {
+    return commits.map((commit, index) => index === 0
+      ? analyzer.defaultSessionTime
+      : (commit.date - commits[index - 1].date) / (1000 * 60));
+  }
+
+  /**
+   * Adjust the session total (minutes); the gap model keeps it as is
+   */
+  total(minutes) {
+    return minutes;
+  }
+}
+
+/**
+ * Gap model plus warm-up time before the first commit of every session
+ * Params: leadInMinutes (default 15)
+ */
+class LeadInModel extends GapModel {
+  shares(commits, analyzer) {
+    const shares = super.shares(commits, analyzer);
+    shares[0] += this.params.leadInMinutes != null ? this.params.leadInMinutes : 15;
+    return shares;
+  }
+}
+
+/**
+ * Weights each commit by its diff size instead of trusting the whole gap
+ * Params: baseMinutes (5), minutesPerFile (2), minutesPerLine (0.1), maxCommitMinutes (120)
+ */
+class ChurnModel extends GapModel {
+  shares(commits, analyzer) {
+    const {
+      baseMinutes = 5,
+      minutesPerFile = 2,
+      minutesPerLine = 0.1,
+      maxCommitMinutes = 120
+    } = this.params;
+
+    return commits.map((commit, index) => {
+      const stats = commit.stats || { filesChanged: 0, insertions: 0, deletions: 0 };
+      const work = Math.min(
+        baseMinutes + stats.filesChanged * minutesPerFile + (stats.insertions + stats.deletions) * minutesPerLine,
+        maxCommitMinutes
+      );
+      if (index === 0) {
+        return work;
+      }
+      // A commit cannot take longer than the time since the previous one
+      return Math.min(work, (commit.date - commits[index - 1].date) / (1000 * 60));
+    });
+  }
+}
+
+/**
+ * Limits any single session produced by another model
+ * Params: base (model name, default "gap"), maxSessionMinutes (240), plus the base model's params
+ */
+class CappedModel extends GapModel {
+  constructor(params = {}) {
+    super(params);
+    this.base = createEstimationModel(params.base || 'gap', params);
+  }
+
+  shares(commits, analyzer) {
+    return this.base.shares(commits, analyzer);
+  }
+
+  total(minutes, session) {
+    const maxSessionMinutes = this.params.maxSessionMinutes || 240;
+    return Math.min(this.base.total(minutes, session), maxSessionMinutes);
+  }
+}
+
+const ESTIMATION_MODELS = {
+  gap: GapModel,
+  'lead-in': LeadInModel,
+  churn: ChurnModel,
+  capped: CappedModel
+};
+
+/**
+ * Register a custom model class (same interface as GapModel)
+ */
+function registerEstimationModel(name, ModelClass) {
+  ESTIMATION_MODELS[name] = ModelClass;
+}
+
+/**
+ * Instantiate a model by name
+ */
+function createEstimationModel(name = 'gap', params = {}) {
+  const ModelClass = ESTIMATION_MODELS[name];
+  if (!ModelClass) {
+    throw new Error(`Unknown estimation model "${name}". Available: ${Object.keys(ESTIMATION_MODELS).join(', ')}`);
+  }
+  return new ModelClass(params);
+}
+
+module.exports = {
+  GapModel,
+  LeadInModel,
+  ChurnModel,
+  CappedModel,
+  ESTIMATION_MODELS,
+  registerEstimationModel,
+  createEstimationModel
+};
@@ -8,6 +8,292 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const { resolveTimeZone, parseWeekStart, formatDate, formatDateTime, startOfWeek } = require('./time-zone');
+const { formatAmount } = require('./billing');
+const PdfWriter = require('./pdf-writer');
+const { escapeHtml, embedJson } = require('./html-utils');
+
+// Analyses written before diff statistics were recorded have no `stats`
+const statsOf = item => ({ filesChanged: 0, insertions: 0, deletions: 0, binaryFiles: 0, ...item.stats });
+
+// Client-side rendering for the dashboard: filters, metrics, SVG charts and the sortable
+// session table. All repository text is set through textContent, never as markup.
+const DASHBOARD_SCRIPT = `
+        (function () {
+            const data = JSON.parse(document.getElementById('worklog-data').textContent);
+            const SVG = 'http://www.w3.org/2000/svg';
+            const filters = {
+                from: document.getElementById('filter-from'),
+                to: document.getElementById('filter-to'),
+                author: document.getElementById('filter-author'),
+                project: document.getElementById('filter-project')
+            };
+            const columns = [
+                { key: 'timestamp', label: 'Start', value: s => s.start },
+                { key: 'hours', label: 'Hours', number: true, value: s => s.hours.toFixed(2) },
+                { key: 'author', label: 'Author' },
+                { key: 'project', label: 'Project' },
+                { key: 'commits', label: 'Commits', number: true },
+                { key: 'files', label: 'Files', number: true },
+                { key: 'insertions', label: 'Lines', number: true, value: s => '+' + s.insertions + '/-' + s.deletions }
+            ];
+            if (data.currency) {
+                columns.push({ key: 'amount', label: 'Amount', number: true, value: s => s.amount == null ? '' : money(s.amount) });
+            }
+            if (data.calendar) {
+                columns.push({ key: 'category', label: 'Calendar' });
+            }
+            columns.push({ key: 'description', label: 'Description' });
+            const sort = { key: 'timestamp', descending: false };
+
+            function money(amount) {
+                return amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 }) + ' ' + data.currency;
+            }
+
+            function element(tag, text, className) {
+                const node = document.createElement(tag);
+                if (text != null) node.textContent = text;
+                if (className) node.className = className;
+                return node;
+            }
+
+            function svgElement(tag, attributes) {
+                const node = document.createElementNS(SVG, tag);
+                Object.keys(attributes).forEach(name => node.setAttribute(name, attributes[name]));
+                return node;
+            }
+
+            function unique(key) {
+                return Array.from(new Set(data.sessions.map(s => s[key]).filter(Boolean))).sort((a, b) => a.localeCompare(b));
+            }
+
+            function selected() {
+                return data.sessions.filter(s =>
+                    (!filters.from.value || s.day >= filters.from.value) &&
+                    (!filters.to.value || s.day <= filters.to.value) &&
+                    (!filters.author.value || s.author === filters.author.value) &&
+                    (!filters.project.value || s.project === filters.project.value));
+            }
+
+            function totals(sessions, key) {
+                const groups = {};
+                sessions.forEach(s => { groups[s[key]] = (groups[s[key]] || 0) + s.hours; });
+                return Object.keys(groups).sort().map(label => ({ label: label, value: groups[label] }));
+            }
+
+            function renderMetrics(sessions) {
+                const sum = key => sessions.reduce((total, s) => total + (s[key] || 0), 0);
+                const hours = sum('hours');
+                const metrics = [
+                    ['Total Hours', hours.toFixed(2) + 'h'],
+                    ['Sessions', String(sessions.length)],
+                    ['Average Session', sessions.length ? (hours / sessions.length).toFixed(1) + 'h' : '-'],
+                    ['Commits per Hour', hours ? (sum('commits') / hours).toFixed(1) : '-'],
+                    ['Lines Changed', '+' + sum('insertions') + ' / -' + sum('deletions')]
+                ];
+                if (data.currency) {
+                    metrics.push(['Billable Amount', money(sum('amount'))]);
+                }
+                if (data.calendar) {
+                    // Overtime is per author and day: each person's hours against the day's schedule
+                    const daily = {};
+                    sessions.forEach(s => {
+                        const key = JSON.stringify([s.author, s.day]);
+                        daily[key] = daily[key] || { day: s.day, hours: 0 };
+                        daily[key].hours += s.hours;
+                    });
+                    const overtime = Object.values(daily).reduce((total, entry) => total + Math.max(entry.hours - (data.scheduledHours[entry.day] || 0), 0), 0);
+                    metrics.push(['Out of Hours', (sum('outOfHoursMinutes') / 60).toFixed(2) + 'h']);
+                    metrics.push(['Overtime', overtime.toFixed(2) + 'h']);
+                }
+
+                const container = document.getElementById('metrics');
+                container.replaceChildren(...metrics.map(([label, value]) => {
+                    const metric = element('div', null, 'metric');
+                    metric.append(element('h4', label), element('div', value, 'value'));
+                    return metric;
+                }));
+            }
+
+            function renderChart(containerId, entries, type, color) {
+                const container = document.getElementById(containerId);
+                if (entries.length === 0 || (type === 'line' && entries.length < 2)) {
+                    container.replaceChildren(element('p', type === 'line' ? 'Not enough data for weekly trend' : 'No sessions', 'empty'));
+                    return;
+                }
+
+                const width = 600;
+                const height = 300;
+                const pad = { left: 40, right: 10, top: 10, bottom: 40 };
+                const plotWidth = width - pad.left - pad.right;
+                const plotHeight = height - pad.top - pad.bottom;
+                const max = Math.max(...entries.map(entry => entry.value)) || 1;
+                const step = plotWidth / entries.length;
+                const y = value => pad.top + plotHeight - (value / max) * plotHeight;
+                const svg = svgElement('svg', { viewBox: '0 0 ' + width + ' ' + height, class: 'chart', role: 'img' });
+
+                for (let i = 0; i <= 4; i++) {
+                    const value = (max * i) / 4;
+                    svg.append(svgElement('line', { x1: pad.left, x2: width - pad.right, y1: y(value), y2: y(value), stroke: '#eee' }));
+                    const label = svgElement('text', { x: pad.left - 5, y: y(value) + 4, 'text-anchor': 'end' });
+                    label.textContent = value.toFixed(1) + 'h';
+                    svg.append(label);
+                }
+
+                const labelEvery = Math.ceil(entries.length / 10);
+                const points = [];
+                entries.forEach((entry, index) => {
+                    const x = pad.left + step * index;
+                    let mark;
+                    if (type === 'bar') {
+                        mark = svgElement('rect', { x: x + step * 0.1, y: y(entry.value), width: step * 0.8, height: pad.top + plotHeight - y(entry.value), fill: color });
+                    } else {
+                        points.push((x + step / 2) + ',' + y(entry.value));
+                        mark = svgElement('circle', { cx: x + step / 2, cy: y(entry.value), r: 4, fill: color });
+                    }
+                    const tooltip = svgElement('title', {});
+                    tooltip.textContent = entry.label + ': ' + entry.value.toFixed(2) + 'h';
+                    mark.append(tooltip);
+                    svg.append(mark);
+
+                    if (index % labelEvery === 0) {
+                        const label = svgElement('text', { x: x + step / 2, y: height - pad.bottom + 15, 'text-anchor': 'middle' });
+                        label.textContent = entry.label;
+                        svg.append(label);
+                    }
+                });
+                if (type === 'line') {
+                    svg.insertBefore(svgElement('polyline', { points: points.join(' '), fill: 'none', stroke: color, 'stroke-width': 2 }), svg.querySelector('circle'));
+                }
+                container.replaceChildren(svg);
+            }
+
+            function renderTable(sessions) {
+                const header = document.getElementById('session-header');
+                header.replaceChildren(...columns.map(column => {
+                    const th = element('th', column.label, column.number ? 'number' : null);
+                    if (column.key === sort.key) th.dataset.order = sort.descending ? 'desc' : 'asc';
+                    th.addEventListener('click', () => {
+                        sort.descending = sort.key === column.key ? !sort.descending : false;
+                        sort.key = column.key;
+                        render();
+                    });
+                    return th;
+                }));
+
+                const sorted = sessions.slice().sort((a, b) => {
+                    const left = a[sort.key];
+                    const right = b[sort.key];
+                    const order = typeof left === 'number' || typeof right === 'number'
+                        ? (left || 0) - (right || 0)
+                        : String(left || '').localeCompare(String(right || ''));
+                    return sort.descending ? -order : order;
+                });
+                document.getElementById('session-rows').replaceChildren(...sorted.map(session => {
+                    const row = element('tr');
+                    columns.forEach(column => {
+                        const value = column.value ? column.value(session) : session[column.key];
+                        row.append(element('td', value == null ? '' : String(value), column.number ? 'number' : null));
+                    });
+                    return row;
+                }));
+                document.getElementById('session-count').textContent = '(' + sessions.length + ' of ' + data.sessions.length + ')';
+            }
+
+            function shade(value, max) {
+                if (!value) return '#ebedf0';
+                const level = Math.min(Math.ceil((value / (max || 1)) * 4), 4);
+                return ['#ebedf0', '#9be9a8', '#40c463', '#30a14e', '#216e39'][level];
+            }
+
+            function cell(svg, x, y, size, value, max, tooltipText) {
+                const square = svgElement('rect', { x: x, y: y, width: size - 2, height: size - 2, rx: 2, fill: shade(value, max) });
+                const tooltip = svgElement('title', {});
+                tooltip.textContent = tooltipText;
+                square.append(tooltip);
+                svg.append(square);
+            }
+
+            function label(svg, x, y, text, anchor) {
+                const node = svgElement('text', { x: x, y: y, 'text-anchor': anchor || 'start' });
+                node.textContent = text;
+                svg.append(node);
+            }
+
+            function renderPatterns() {
+                const patterns = data.patterns;
+                if (!patterns || patterns.streaks.activeDays === 0) {
+                    document.getElementById('patterns').hidden = true;
+                    return;
+                }
+
+                const { heatmap, hourly, streaks, sessionTimes, focus } = patterns;
+                const days = count => count + (count === 1 ? ' day' : ' days');
+                const metrics = [
+                    ['Active Days', streaks.activeDays + ' of ' + streaks.totalDays],
+                    ['Longest Streak', days(streaks.longest.days)],
+                    ['Longest Break', streaks.longestBreak ? days(streaks.longestBreak.days) : '-'],
+                    ['Typical Session', sessionTimes.averageStart + ' - ' + sessionTimes.averageEnd],
+                    ['Busiest Hour', hourly.peak ? hourly.peak.weekday.slice(0, 3) + ' ' + String(hourly.peak.hour).padStart(2, '0') + ':00' : '-'],
+                    ['Focus Blocks (' + focus.thresholdMinutes + 'm+)', focus.blocks + ' (' + focus.focusShare + '% of hours)'],
+                    ['Median Session', focus.medianMinutes + 'm']
+                ];
+                document.getElementById('pattern-metrics').replaceChildren(...metrics.map(([name, value]) => {
+                    const metric = element('div', null, 'metric');
+                    metric.append(element('h4', name), element('div', value, 'value'));
+                    return metric;
+                }));
+
+                const size = 14;
+                const left = 32;
+                const heatmapSvg = svgElement('svg', { width: left + heatmap.weeks.length * size, height: 20 + 7 * size });
+                hourly.weekdays.forEach((day, row) => {
+                    if (row % 2 === 0) label(heatmapSvg, 0, 20 + row * size + 10, day.slice(0, 3));
+                });
+                heatmap.weeks.forEach((week, column) => {
+                    if (column === 0 || week.start.slice(5, 7) !== heatmap.weeks[column - 1].start.slice(5, 7)) {
+                        label(heatmapSvg, left + column * size, 12, week.start.slice(0, 7));
+                    }
+                    week.days.forEach((day, row) => {
+                        if (day) cell(heatmapSvg, left + column * size, 20 + row * size, size, day.hours, heatmap.maxHours, day.date + ': ' + day.hours.toFixed(2) + 'h, ' + day.sessions + ' sessions');
+                    });
+                });
+                document.getElementById('heatmap').replaceChildren(heatmapSvg);
+
+                const matrixMax = Math.max(...hourly.hours.map(row => Math.max(...row)));
+                const cellSize = 22;
+                const matrixSvg = svgElement('svg', { viewBox: '0 0 ' + (left + 24 * cellSize) + ' ' + (20 + 7 * cellSize), width: '100%' });
+                for (let hour = 0; hour < 24; hour += 3) {
+                    label(matrixSvg, left + hour * cellSize, 12, String(hour).padStart(2, '0') + ':00');
+                }
+                hourly.hours.forEach((row, index) => {
+                    label(matrixSvg, 0, 20 + index * cellSize + 14, hourly.weekdays[index].slice(0, 3));
+                    row.forEach((value, hour) => cell(matrixSvg, left + hour * cellSize, 20 + index * cellSize, cellSize, value, matrixMax,
+                        hourly.weekdays[index] + ' ' + String(hour).padStart(2, '0') + ':00: ' + value.toFixed(2) + 'h'));
+                });
+                document.getElementById('hourly-matrix').replaceChildren(matrixSvg);
+
+                renderChart('focus-chart', focus.buckets.map(bucket => ({ label: bucket.label + ' (' + bucket.sessions + ')', value: bucket.hours })), 'bar', '#764ba2');
+            }
+
+            function render() {
+                const sessions = selected();
+                renderMetrics(sessions);
+                renderChart('daily-chart', totals(sessions, 'day'), 'bar', '#007acc');
+                renderChart('weekly-chart', totals(sessions, 'week'), 'line', '#28a745');
+                renderTable(sessions);
+            }
+
+            unique('author').forEach(author => filters.author.append(new Option(author, author)));
+            unique('project').forEach(project => filters.project.append(new Option(project, project)));
+            Object.keys(filters).forEach(name => filters[name].addEventListener('change', render));
+            document.getElementById('filter-reset').addEventListener('click', () => {
+                Object.keys(filters).forEach(name => { filters[name].value = ''; });
+                render();
+            });
+            renderPatterns();
+            render();
+        })();`;
 
 class FreelancerWorkLog {
     constructor() {
@@ -55,18 +341,25 @@ class FreelancerWorkLog {
             const dashboardFile = path.join(this.outputDir, `${reportPrefix}_dashboard.html`);
             await this.generateDashboard(analysisFile, dashboardFile, options);
 
+            // 5. Generate PDF Report
+            console.log('\n5️⃣ Generating PDF Report...');
+            const reportFile = path.join(this.outputDir, `${reportPrefix}_report.pdf`);
+            await this.generatePdfReport(analysisFile, reportFile, options);
+
             console.log('\n✅ Processing Complete!');
             console.log('\n📋 Generated Files:');
             console.log(`   📊 Analysis Data: ${analysisFile}`);
             console.log(`   📈 CSV Timesheet: ${csvFile}`);
             console.log(`   📝 Summary Report: ${summaryFile}`);
             console.log(`   🌐 Dashboard: ${dashboardFile}`);
+            console.log(`   📑 PDF Report: ${reportFile}`);
 
             return {
                 analysis: analysisFile,
                 csv: csvFile,
                 summary: summaryFile,
-                dashboard: dashboardFile
+                dashboard: dashboardFile,
+                report: reportFile
             };
 
         } catch (error) {
@@ -82,6 +375,17 @@ class FreelancerWorkLog {
         if (options.since) command += ` --since "${options.since}"`;
         if (options.until) command += ` --until "${options.until}"`;
         if (options.author) command += ` --author "${options.author}"`;
+        if (options.aliases) command += ` --aliases "${options.aliases}"`;
+        if (options.config) command += ` --config "${options.config}"`;
+        if (options.model) command += ` --model "${options.model}"`;
+        if (options.profile) command += ` --profile "${options.profile}"`;
+        if (options.signals) command += ` --signals "${options.signals}"`;
+        if (options.calendar) command += ` --calendar "${options.calendar}"`;
+        if (options.billing) command += ` --billing "${options.billing}"`;
+        if (options.client) command += ` --client "${options.client}"`;
+        if (options.project) command += ` --project "${options.project}"`;
+        if (options.timezone) command += ` --timezone "${options.timezone}"`;
+        if (options.weekStart) command += ` --week-start "${options.weekStart}"`;
         
         execSync(command, { stdio: 'inherit' });
     }
@@ -94,43 +398,116 @@ class FreelancerWorkLog {
         if (options.since) command += ` --since "${options.since}"`;
         if (options.until) command += ` --until "${options.until}"`;
         if (options.author) command += ` --author "${options.author}"`;
+        if (options.aliases) command += ` --aliases "${options.aliases}"`;
+        if (options.config) command += ` --config "${options.config}"`;
+        if (options.model) command += ` --model "${options.model}"`;
+        if (options.profile) command += ` --profile "${options.profile}"`;
+        if (options.signals) command += ` --signals "${options.signals}"`;
+        if (options.calendar) command += ` --calendar "${options.calendar}"`;
+        if (options.billing) command += ` --billing "${options.billing}"`;
+        if (options.client) command += ` --client "${options.client}"`;
+        if (options.timezone) command += ` --timezone "${options.timezone}"`;
         
         execSync(command, { stdio: 'inherit' });
     }
 
     async generateSummaryReport(analysisFile, outputFile, options) {
         const analysisData = JSON.parse(fs.readFileSync(analysisFile, 'utf8'));
+        const timeZone = this.getTimeZone(analysisData, options);
         
         let summary = `FREELANCER WORK LOG SUMMARY\n`;
         summary += `=============================\n\n`;
         summary += `Repository: ${analysisData.repository}\n`;
-        summary += `Report Date: ${new Date().toLocaleString()}\n`;
+        summary += `Report Date: ${formatDateTime(new Date(), timeZone)}\n`;
+        summary += `Time Zone: ${timeZone}\n`;
         summary += `Analysis Period: ${options.since || 'All time'} to ${options.until || 'Present'}\n`;
         summary += `Total Commits: ${analysisData.totalCommits}\n`;
         summary += `Total Sessions: ${analysisData.sessions.length}\n`;
-        summary += `Total Hours: ${analysisData.totalHours}h\n\n`;
+        summary += `Total Hours: ${analysisData.totalHours}h\n`;
+        if (analysisData.billing) {
+            summary += `Billable Hours: ${analysisData.billing.billableHours}h\n`;
+            summary += `Billable Amount: ${formatAmount(analysisData.billing.amount, analysisData.billing.currency)}\n`;
+        }
+        summary += `Files Changed: ${statsOf(analysisData).filesChanged} (${statsOf(analysisData).binaryFiles} binary)\n`;
+        summary += `Lines Changed: +${statsOf(analysisData).insertions}/-${statsOf(analysisData).deletions}\n`;
+        summary += `Excluded Commits: ${(analysisData.excludedCommits || []).length}\n\n`;
+        
+        // Filtered commits
+        const filterResults = analysisData.filtering ? analysisData.filtering.results : [];
+        if (filterResults.length > 0) {
+            summary += `FILTERED COMMITS:\n`;
+            summary += `=================\n`;
+            filterResults.forEach(entry => {
+                summary += `${entry.rule}: ${entry.dropped} dropped, ${entry.downWeighted} down-weighted\n`;
+            });
+            summary += `\n`;
+        }
+        
+        // Per-author breakdown
+        const authors = analysisData.authors || [];
+        if (authors.length > 1) {
+            summary += `AUTHOR BREAKDOWN:\n`;
+            summary += `=================\n`;
+            authors.forEach(entry => {
+                summary += `${entry.author} <${entry.email}>: ${entry.hours.toFixed(2)}h (${entry.sessions} sessions, ${entry.commits} commits)\n`;
+            });
+            summary += `\n`;
+        }
+        
+        // Billing per project
+        const billing = analysisData.billing;
+        if (billing) {
+            summary += `BILLING:\n`;
+            summary += `========\n`;
+            if (billing.client) summary += `Client: ${billing.client}\n`;
+            summary += `Rounding: ${billing.rounding.mode} to ${billing.rounding.increment}min per ${billing.rounding.per}${billing.rounding.minimum ? `, minimum ${billing.rounding.minimum}min` : ''}\n`;
+            billing.projects.forEach(entry => {
+                summary += `${entry.project || options.project || 'default project'}: ${entry.hours.toFixed(2)}h = ${formatAmount(entry.amount, billing.currency)}\n`;
+            });
+            if (billing.unratedSessions > 0) {
+                summary += `Warning: ${billing.unratedSessions} sessions have no matching rate and are billed at 0\n`;
+            }
+            summary += `\n`;
+        }
+        
+        // Working hours (regular, out-of-hours and overtime)
+        const calendar = analysisData.calendar;
+        if (calendar) {
+            summary += `WORKING HOURS:\n`;
+            summary += `==============\n`;
+            summary += `Regular: ${calendar.hours.regular.toFixed(2)}h\n`;
+            summary += `Evening: ${calendar.hours.evening.toFixed(2)}h\n`;
+            summary += `Weekend: ${calendar.hours.weekend.toFixed(2)}h\n`;
+            summary += `Holiday: ${calendar.hours.holiday.toFixed(2)}h\n`;
+            summary += `Out of hours (evening + weekend + holiday): ${calendar.outOfHoursHours.toFixed(2)}h\n`;
+            summary += `Overtime (beyond scheduled hours): ${calendar.overtimeHours.toFixed(2)}h\n`;
+            calendar.days.filter(day => day.overtimeHours > 0).forEach(day => {
+                summary += `  ${day.date}${day.name ? ` (${day.name})` : ''} ${day.author}: ${day.hours.toFixed(2)}h worked, ${day.scheduledHours.toFixed(2)}h scheduled, ${day.overtimeHours.toFixed(2)}h overtime\n`;
+            });
+            summary += `\n`;
+        }
         
         // Weekly breakdown
-        const weeklyTotals = this.calculateWeeklyTotals(analysisData.sessions);
+        const weeklyTotals = this.calculateWeeklyTotals(analysisData.sessions, timeZone, this.getWeekStart(analysisData, options));
         if (Object.keys(weeklyTotals).length > 1) {
             summary += `WEEKLY BREAKDOWN:\n`;
             summary += `=================\n`;
             Object.entries(weeklyTotals)
-                .sort(([a], [b]) => new Date(a) - new Date(b))
+                .sort(([a], [b]) => a.localeCompare(b))
                 .forEach(([week, data]) => {
-                    summary += `Week of ${week}: ${data.hours.toFixed(2)}h (${data.sessions} sessions, ${data.commits} commits)\n`;
+                    summary += `Week of ${week}: ${data.hours.toFixed(2)}h (${data.sessions} sessions, ${data.commits} commits, +${data.insertions}/-${data.deletions} lines)\n`;
                 });
             summary += `\n`;
         }
         
         // Daily breakdown
-        const dailyTotals = this.calculateDailyTotals(analysisData.sessions);
+        const dailyTotals = this.calculateDailyTotals(analysisData.sessions, timeZone);
         summary += `DAILY BREAKDOWN:\n`;
         summary += `================\n`;
         Object.entries(dailyTotals)
-            .sort(([a], [b]) => new Date(a) - new Date(b))
+            .sort(([a], [b]) => a.localeCompare(b))
             .forEach(([date, data]) => {
-                summary += `${date}: ${data.hours.toFixed(2)}h (${data.sessions} sessions)\n`;
+                summary += `${date}: ${data.hours.toFixed(2)}h (${data.sessions} sessions, +${data.insertions}/-${data.deletions} lines)\n`;
             });
         summary += `\n`;
         
@@ -139,10 +516,29 @@ class FreelancerWorkLog {
         summary += `================\n`;
         analysisData.sessions.forEach((session, index) => {
             const durationHours = session.duration / 60;
-            summary += `${index + 1}. ${new Date(session.start).toLocaleDateString()} ${new Date(session.start).toLocaleTimeString()}\n`;
+            summary += `${index + 1}. ${formatDateTime(session.start, timeZone)}\n`;
             summary += `   Duration: ${durationHours.toFixed(2)}h (${session.duration}min)\n`;
             summary += `   Author: ${session.author}\n`;
+            if (session.billing) {
+                summary += `   Billable: ${session.billing.billableHours.toFixed(2)}h at ${session.billing.rate != null ? session.billing.rate : '?'}${session.billing.multiplier !== 1 ? ` x${session.billing.multiplier}` : ''} = ${formatAmount(session.billing.amount, session.billing.currency)}\n`;
+            }
+            if (session.project || session.activity) {
+                summary += `   Booked as: ${session.project || options.project || 'default project'} / ${session.activity || 'default activity'}\n`;
+            }
             summary += `   Commits: ${session.commitCount || session.commits.length}\n`;
+            summary += `   Changes: ${statsOf(session).filesChanged} files (+${statsOf(session).insertions}/-${statsOf(session).deletions})\n`;
+            if (session.calendar && session.calendar.category !== 'regular') {
+                summary += `   Calendar: ${session.calendar.category}${session.calendar.category === 'holiday' ? ` (${session.calendar.holiday})` : ''}\n`;
+            }
+            if (session.split) {
+                summary += `   Split: part ${session.split.part} of ${session.split.parts} (${session.split.reasons.join(', ')})${session.split.breakBefore ? `, ${session.split.breakBefore}min break before` : ''}\n`;
+            }
+            if (session.capped) {
+                summary += `   Capped: duration limited to the maximum session length\n`;
+            }
+            if (session.sources && session.sources.some(source => source !== 'commits')) {
+                summary += `   Evidence: ${session.sources.join(', ')}\n`;
+            }
             summary += `   Description: ${session.description}\n\n`;
         });
         
@@ -150,164 +546,242 @@ class FreelancerWorkLog {
         console.log(`   📄 Summary saved to: ${outputFile}`);
     }
 
+    /**
+     * Printable PDF with the summary, daily/weekly totals and charts
+     */
+    async generatePdfReport(analysisFile, outputFile, options) {
+        const analysisData = JSON.parse(fs.readFileSync(analysisFile, 'utf8'));
+        const timeZone = this.getTimeZone(analysisData, options);
+        const repoName = path.basename(analysisData.repository);
+        const billing = analysisData.billing;
+        const pdf = new PdfWriter({ title: `Work Log Report - ${options.project || repoName}` });
+
+        pdf.heading(`Work Log Report: ${options.project || repoName}`, 1);
+        const overview = [
+            ['Repository', analysisData.repository],
+            ['Report Date', formatDateTime(new Date(), timeZone)],
+            ['Time Zone', timeZone],
+            ['Analysis Period', `${options.since || 'All time'} to ${options.until || 'Present'}`],
+            ['Total Hours', `${analysisData.totalHours}h`],
+            ['Sessions', String(analysisData.sessions.length)],
+            ['Commits', String(analysisData.totalCommits)],
+            ['Lines Changed', `+${statsOf(analysisData).insertions}/-${statsOf(analysisData).deletions}`]
+        ];
+        if (billing) {
+            overview.push(['Billable Hours', `${billing.billableHours}h`]);
+            overview.push(['Billable Amount', formatAmount(billing.amount, billing.currency)]);
+        }
+        pdf.keyValues(overview);
+
+        const authors = analysisData.authors || [];
+        if (authors.length > 1) {
+            pdf.heading('Authors');
+            pdf.table(
+                [{ header: 'Author', width: 4 }, { header: 'Hours', align: 'right' }, { header: 'Sessions', align: 'right' }, { header: 'Commits', align: 'right' }],
+                authors.map(entry => [`${entry.author} <${entry.email}>`, entry.hours.toFixed(2), String(entry.sessions), String(entry.commits)])
+            );
+        }
+
+        if (billing) {
+            pdf.heading('Billing');
+            if (billing.client) {
+                pdf.paragraph(`Client: ${billing.client}`);
+            }
+            pdf.table(
+                [{ header: 'Project', width: 3 }, { header: 'Hours', align: 'right' }, { header: 'Amount', width: 1.5, align: 'right' }],
+                billing.projects.map(entry => [entry.project || options.project || 'default project', entry.hours.toFixed(2), formatAmount(entry.amount, billing.currency)])
+            );
+        }
+
+        const calendar = analysisData.calendar;
+        if (calendar) {
+            pdf.heading('Working Hours');
+            pdf.keyValues([
+                ['Regular', `${calendar.hours.regular.toFixed(2)}h`],
+                ['Evening', `${calendar.hours.evening.toFixed(2)}h`],
+                ['Weekend', `${calendar.hours.weekend.toFixed(2)}h`],
+                ['Holiday', `${calendar.hours.holiday.toFixed(2)}h`],
+                ['Out of Hours', `${calendar.outOfHoursHours.toFixed(2)}h`],
+                ['Overtime', `${calendar.overtimeHours.toFixed(2)}h`]
+            ]);
+        }
+
+        const weeklyTotals = Object.entries(this.calculateWeeklyTotals(analysisData.sessions, timeZone, this.getWeekStart(analysisData, options)))
+            .sort(([a], [b]) => a.localeCompare(b));
+        pdf.heading('Weekly Totals');
+        pdf.barChart(weeklyTotals.map(([week, data]) => ({ label: `Week of ${week}`, value: data.hours })), { unit: 'h', labelWidth: 110 });
+        pdf.table(
+            [{ header: 'Week of', width: 2 }, { header: 'Hours', align: 'right' }, { header: 'Sessions', align: 'right' }, { header: 'Commits', align: 'right' }, { header: 'Lines', width: 1.5, align: 'right' }],
+            weeklyTotals.map(([week, data]) => [week, data.hours.toFixed(2), String(data.sessions), String(data.commits), `+${data.insertions}/-${data.deletions}`])
+        );
+
+        const dailyTotals = Object.entries(this.calculateDailyTotals(analysisData.sessions, timeZone))
+            .sort(([a], [b]) => a.localeCompare(b));
+        pdf.heading('Daily Totals');
+        pdf.barChart(dailyTotals.map(([date, data]) => ({ label: date, value: data.hours })), { unit: 'h', color: [0.46, 0.29, 0.64] });
+        pdf.table(
+            [{ header: 'Date', width: 2 }, { header: 'Hours', align: 'right' }, { header: 'Sessions', align: 'right' }, { header: 'Lines', width: 1.5, align: 'right' }],
+            dailyTotals.map(([date, data]) => [date, data.hours.toFixed(2), String(data.sessions), `+${data.insertions}/-${data.deletions}`])
+        );
+
+        pdf.heading('Sessions');
+        const sessionColumns = [
+            { header: 'Start', width: 2.6 },
+            { header: 'Hours', width: 0.8, align: 'right' },
+            { header: 'Author', width: 1.6 },
+            { header: 'Commits', width: 0.9, align: 'right' },
+            { header: 'Description', width: 4 }
+        ];
+        if (billing) {
+            sessionColumns.splice(4, 0, { header: 'Amount', width: 1.6, align: 'right' });
+        }
+        pdf.table(sessionColumns, analysisData.sessions.map(session => {
+            const row = [
+                formatDateTime(session.start, timeZone),
+                (session.duration / 60).toFixed(2),
+                session.author,
+                String(session.commitCount || session.commits.length),
+                session.description
+            ];
+            if (billing) {
+                row.splice(4, 0, session.billing ? formatAmount(session.billing.amount, session.billing.currency) : '');
+            }
+            return row;
+        }), { size: 8 });
+
+        pdf.save(outputFile);
+        console.log(`   📑 PDF report saved to: ${outputFile}`);
+    }
+
     async generateDashboard(analysisFile, outputFile, options) {
         const analysisData = JSON.parse(fs.readFileSync(analysisFile, 'utf8'));
-        const weeklyData = this.calculateWeeklyTotals(analysisData.sessions);
-        const dailyData = this.calculateDailyTotals(analysisData.sessions);
-        
+        const timeZone = this.getTimeZone(analysisData, options);
+        const weekStart = this.getWeekStart(analysisData, options);
+        const repoName = path.basename(analysisData.repository);
+        const billing = analysisData.billing;
+        const calendar = analysisData.calendar;
+
+        // Everything the page shows comes from this JSON block; the page script renders it
+        // with textContent and SVG nodes, so repository text is never parsed as HTML
+        const dashboardData = {
+            currency: billing ? billing.currency : null,
+            calendar: Boolean(calendar),
+            scheduledHours: calendar ? Object.fromEntries(calendar.days.map(day => [day.date, day.scheduledHours])) : {},
+            patterns: analysisData.patterns || null,
+            sessions: analysisData.sessions.map(session => ({
+                timestamp: new Date(session.start).getTime(),
+                start: formatDateTime(session.start, timeZone),
+                day: formatDate(session.start, timeZone),
+                week: startOfWeek(session.start, timeZone, weekStart),
+                hours: session.duration / 60,
+                author: session.author,
+                project: session.project || (session.billing && session.billing.project) || options.project || repoName,
+                activity: session.activity || null,
+                commits: session.commitCount || session.commits.length,
+                files: statsOf(session).filesChanged,
+                insertions: statsOf(session).insertions,
+                deletions: statsOf(session).deletions,
+                amount: session.billing ? session.billing.amount : null,
+                category: session.calendar ? session.calendar.category : null,
+                outOfHoursMinutes: session.calendar
+                    ? session.calendar.minutes.evening + session.calendar.minutes.weekend + session.calendar.minutes.holiday
+                    : 0,
+                description: session.description
+            }))
+        };
+
         const html = `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Work Log Dashboard - ${path.basename(analysisData.repository)}</title>
-    <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; script-src 'unsafe-inline'">
+    <title>Work Log Dashboard - ${escapeHtml(repoName)}</title>
     <style>
         body { font-family: Arial, sans-serif; margin: 20px; background: #f5f5f5; }
         .container { max-width: 1200px; margin: 0 auto; }
         .header { background: white; padding: 20px; border-radius: 8px; margin-bottom: 20px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+        .filters { display: flex; flex-wrap: wrap; gap: 15px; align-items: flex-end; }
+        .filters label { display: flex; flex-direction: column; font-size: 0.85em; color: #555; gap: 4px; }
+        .filters input, .filters select, .filters button { padding: 5px; font-size: 1em; }
         .grid { display: grid; grid-template-columns: 1fr 1fr; gap: 20px; margin-bottom: 20px; }
-        .card { background: white; padding: 20px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
-        .metric { text-align: center; margin-bottom: 15px; }
-        .metric h3 { margin: 0; color: #333; }
-        .metric .value { font-size: 2em; font-weight: bold; color: #007acc; }
-        .chart-container { position: relative; height: 300px; width: 100%; }
-        .sessions-list { max-height: 400px; overflow-y: auto; }
-        .session { padding: 10px; border-bottom: 1px solid #eee; }
-        .session:last-child { border-bottom: none; }
-        .session-date { font-weight: bold; color: #333; }
-        .session-details { font-size: 0.9em; color: #666; }
+        .card { background: white; padding: 20px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); margin-bottom: 20px; }
+        .grid .card { margin-bottom: 0; }
+        .metrics { display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 15px; }
+        .metric { text-align: center; }
+        .metric h4 { margin: 0 0 5px; color: #333; }
+        .metric .value { font-size: 1.8em; font-weight: bold; color: #007acc; }
+        .chart { width: 100%; height: 300px; }
+        .chart text { font-size: 11px; fill: #555; }
+        .empty { text-align: center; color: #666; margin: 50px 0; }
+        .table-wrapper { max-height: 500px; overflow-y: auto; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.9em; }
+        th { position: sticky; top: 0; background: #eef2f7; cursor: pointer; user-select: none; white-space: nowrap; }
+        th, td { padding: 6px 8px; border-bottom: 1px solid #eee; text-align: left; vertical-align: top; }
+        td.number, th.number { text-align: right; white-space: nowrap; }
+        th[data-order="asc"]::after { content: " \\25B2"; }
+        th[data-order="desc"]::after { content: " \\25BC"; }
+        .heatmap { width: 100%; overflow-x: auto; }
+        .heatmap svg text, .matrix svg text { font-size: 10px; fill: #555; }
+        .legend { font-size: 0.8em; color: #666; }
     </style>
 </head>
 <body>
     <div class="container">
         <div class="header">
             <h1>📊 Work Log Dashboard</h1>
-            <h2>${path.basename(analysisData.repository)}</h2>
-            <p><strong>Total Time:</strong> ${analysisData.totalHours}h | <strong>Sessions:</strong> ${analysisData.sessions.length} | <strong>Commits:</strong> ${analysisData.totalCommits}</p>
-            <p><strong>Generated:</strong> ${new Date().toLocaleString()}</p>
+            <h2>${escapeHtml(repoName)}</h2>
+            <p><strong>Generated:</strong> ${escapeHtml(formatDateTime(new Date(), timeZone))} (${escapeHtml(timeZone)})</p>
+            <div class="filters">
+                <label>From <input type="date" id="filter-from"></label>
+                <label>To <input type="date" id="filter-to"></label>
+                <label>Author <select id="filter-author"><option value="">All authors</option></select></label>
+                <label>Project <select id="filter-project"><option value="">All projects</option></select></label>
+                <button type="button" id="filter-reset">Reset</button>
+            </div>
+        </div>
+
+        <div class="card">
+            <h3>📈 Key Metrics</h3>
+            <div class="metrics" id="metrics"></div>
         </div>
 
         <div class="grid">
             <div class="card">
-                <h3>📈 Key Metrics</h3>
-                <div class="metric">
-                    <h4>Total Hours</h4>
-                    <div class="value">${analysisData.totalHours}h</div>
-                </div>
-                <div class="metric">
-                    <h4>Average Session</h4>
-                    <div class="value">${(analysisData.totalHours / analysisData.sessions.length).toFixed(1)}h</div>
-                </div>
-                <div class="metric">
-                    <h4>Commits per Hour</h4>
-                    <div class="value">${(analysisData.totalCommits / analysisData.totalHours).toFixed(1)}</div>
-                </div>
+                <h3>📊 Daily Hours</h3>
+                <div id="daily-chart"></div>
             </div>
-
             <div class="card">
-                <h3>📊 Daily Hours</h3>
-                <div class="chart-container">
-                    <canvas id="dailyChart"></canvas>
-                </div>
+                <h3>📈 Weekly Trend</h3>
+                <div id="weekly-chart"></div>
             </div>
         </div>
 
-        <div class="grid">
-            <div class="card">
-                <h3>📅 Recent Sessions</h3>
-                <div class="sessions-list">
-                    ${analysisData.sessions.map((session, index) => {
-                        const durationHours = session.duration / 60;
-                        return `
-                        <div class="session">
-                            <div class="session-date">${new Date(session.start).toLocaleDateString()} - ${durationHours.toFixed(2)}h</div>
-                            <div class="session-details">
-                                ${session.description}<br>
-                                <small>👤 ${session.author} | 📝 ${session.commitCount || session.commits.length} commits</small>
-                            </div>
-                        </div>`;
-                    }).join('')}
-                </div>
-            </div>
+        <div class="card" id="patterns">
+            <h3>🔥 Work Patterns <small>(all sessions)</small></h3>
+            <div class="metrics" id="pattern-metrics"></div>
+            <h4>Activity Heatmap</h4>
+            <div class="heatmap" id="heatmap"></div>
+            <h4>Hour of Day × Weekday</h4>
+            <div class="matrix" id="hourly-matrix"></div>
+            <h4>Session Lengths</h4>
+            <div id="focus-chart"></div>
+        </div>
 
-            <div class="card">
-                <h3>📈 Weekly Trend</h3>
-                <div class="chart-container">
-                    <canvas id="weeklyChart"></canvas>
-                </div>
+        <div class="card">
+            <h3>📅 Sessions <small id="session-count"></small></h3>
+            <div class="table-wrapper">
+                <table>
+                    <thead><tr id="session-header"></tr></thead>
+                    <tbody id="session-rows"></tbody>
+                </table>
             </div>
         </div>
     </div>
 
+    <script type="application/json" id="worklog-data">${embedJson(dashboardData)}</script>
     <script>
-        // Daily Chart
-        const dailyCtx = document.getElementById('dailyChart').getContext('2d');
-        const dailyData = ${JSON.stringify(dailyData)};
-        
-        new Chart(dailyCtx, {
-            type: 'bar',
-            data: {
-                labels: Object.keys(dailyData),
-                datasets: [{
-                    label: 'Hours',
-                    data: Object.values(dailyData).map(d => d.hours),
-                    backgroundColor: '#007acc',
-                    borderColor: '#005999',
-                    borderWidth: 1
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                scales: {
-                    y: {
-                        beginAtZero: true,
-                        title: {
-                            display: true,
-                            text: 'Hours'
-                        }
-                    }
-                }
-            }
-        });
-
-        // Weekly Chart
-        const weeklyCtx = document.getElementById('weeklyChart').getContext('2d');
-        const weeklyData = ${JSON.stringify(weeklyData)};
-        
-        if (Object.keys(weeklyData).length > 1) {
-            new Chart(weeklyCtx, {
-                type: 'line',
-                data: {
-                    labels: Object.keys(weeklyData),
-                    datasets: [{
-                        label: 'Weekly Hours',
-                        data: Object.values(weeklyData).map(d => d.hours),
-                        borderColor: '#28a745',
-                        backgroundColor: 'rgba(40, 167, 69, 0.1)',
-                        fill: true,
-                        tension: 0.4
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    scales: {
-                        y: {
-                            beginAtZero: true,
-                            title: {
-                                display: true,
-                                text: 'Hours'
-                            }
-                        }
-                    }
-                }
-            });
-        } else {
-            weeklyCtx.canvas.style.display = 'none';
-            weeklyCtx.canvas.parentElement.innerHTML = '<p style="text-align: center; color: #666; margin: 50px 0;">Not enough data for weekly trend</p>';
-        }
+${DASHBOARD_SCRIPT}
     </script>
 </body>
 </html>`;
@@ -316,39 +790,60 @@ class FreelancerWorkLog {
         console.log(`   🌐 Dashboard saved to: ${outputFile}`);
     }
 
-    calculateWeeklyTotals(sessions) {
+    /**
+     * Time zone for bucketing and printing: --timezone, then the analysis (config), then the system zone
+     */
+    getTimeZone(analysisData, options = {}) {
+        return resolveTimeZone(options.timezone || analysisData.timezone);
+    }
+
+    /**
+     * First day of the week (0 = Sunday): --week-start, then the analysis (config), then Sunday
+     */
+    getWeekStart(analysisData, options = {}) {
+        return parseWeekStart(options.weekStart || analysisData.weekStart || 'sunday');
+    }
+
+    /**
+     * Totals per week, keyed by the week's first day (YYYY-MM-DD) in the given time zone
+     */
+    calculateWeeklyTotals(sessions, timeZone = resolveTimeZone(), weekStart = 0) {
         const weekly = {};
         
         sessions.forEach(session => {
-            const date = new Date(session.start);
-            const weekStart = new Date(date);
-            weekStart.setDate(date.getDate() - date.getDay()); // Start of week (Sunday)
-            const weekKey = weekStart.toLocaleDateString();
+            const weekKey = startOfWeek(session.start, timeZone, weekStart);
             
             if (!weekly[weekKey]) {
-                weekly[weekKey] = { hours: 0, sessions: 0, commits: 0 };
+                weekly[weekKey] = { hours: 0, sessions: 0, commits: 0, insertions: 0, deletions: 0 };
             }
             
             weekly[weekKey].hours += session.duration / 60;
             weekly[weekKey].sessions++;
             weekly[weekKey].commits += session.commitCount || session.commits.length;
+            weekly[weekKey].insertions += statsOf(session).insertions;
+            weekly[weekKey].deletions += statsOf(session).deletions;
         });
         
         return weekly;
     }
 
-    calculateDailyTotals(sessions) {
+    /**
+     * Totals per calendar day (YYYY-MM-DD) in the given time zone
+     */
+    calculateDailyTotals(sessions, timeZone = resolveTimeZone()) {
         const daily = {};
         
         sessions.forEach(session => {
-            const date = new Date(session.start).toLocaleDateString();
+            const date = formatDate(session.start, timeZone);
             
             if (!daily[date]) {
-                daily[date] = { hours: 0, sessions: 0 };
+                daily[date] = { hours: 0, sessions: 0, insertions: 0, deletions: 0 };
             }
             
             daily[date].hours += session.duration / 60;
             daily[date].sessions++;
+            daily[date].insertions += statsOf(session).insertions;
+            daily[date].deletions += statsOf(session).deletions;
         });
         
         return daily;
@@ -358,6 +853,11 @@ class FreelancerWorkLog {
 // CLI Interface
 if (require.main === module) {
     const args = process.argv.slice(2);
+
+    if (args[0] === 'invoice') {
+        require('./invoice-generator').runInvoiceCommand(args.slice(1));
+        return;
+    }
     
     if (args.includes('--help') || args.length === 0) {
         console.log(`
@@ -368,17 +868,29 @@ Complete workflow for Git time tracking, analysis, and reporting.
 
 Usage:
   node freelancer-worklog.js <repository> [options]
+  node freelancer-worklog.js invoice <analysis.json> [...] --client <profile>   (see invoice-generator.js --help)
 
 Options:
   --since <date>        Only include commits since date (e.g., "2025-11-01")
   --until <date>        Only include commits until date
   --author <name>       Filter commits by author name or email
+  --aliases <file>      Identity alias file merging names/emails of the same developer
+  --config <file>       Analyzer settings file (see git-analyzer.js --help)
+  --model <name>        Estimation model: gap, lead-in, churn, capped
+  --profile <name>      Calibrated analyzer profile (see calibrate.js)
+  --signals <sources>   Use reflog/worktree activity as extra time evidence (e.g. reflog,worktree)
+  --billing <file>      Rates, multipliers and rounding for billable amounts
+  --client <name>       Client to look up rates for
+  --calendar <file>     Working hours, holidays and days off for overtime reporting
+  --timezone <zone>     IANA time zone for days, weeks and timestamps (e.g. Europe/Berlin)
+  --week-start <day>    First day of the week for weekly totals (default: sunday)
   --project <name>      Set project name for reports
 
 Examples:
   node freelancer-worklog.js .
   node freelancer-worklog.js /path/to/repo --project "Client Project"
   node freelancer-worklog.js . --since "2025-11-01" --author "john@example.com"
+  node freelancer-worklog.js invoice reports/myrepo_analysis.json --client acme --group week
 `);
         process.exit(0);
     }
@@ -406,6 +918,46 @@ Examples:
                     options.author = value;
                     i++;
                     break;
+                case 'aliases':
+                    options.aliases = value;
+                    i++;
+                    break;
+                case 'config':
+                    options.config = value;
+                    i++;
+                    break;
+                case 'model':
+                    options.model = value;
+                    i++;
+                    break;
+                case 'profile':
+                    options.profile = value;
+                    i++;
+                    break;
+                case 'signals':
+                    options.signals = value;
+                    i++;
+                    break;
+                case 'billing':
+                    options.billing = value;
+                    i++;
+                    break;
+                case 'client':
+                    options.client = value;
+                    i++;
+                    break;
+                case 'calendar':
+                    options.calendar = value;
+                    i++;
+                    break;
+                case 'timezone':
+                    options.timezone = value;
+                    i++;
+                    break;
+                case 'week-start':
+                    options.weekStart = value;
+                    i++;
+                    break;
                 case 'project':
                     options.project = value;
                     i++;
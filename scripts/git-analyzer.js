@@ -5,136 +5,628 @@
  * Analyzes Git commit history to estimate time spent coding
  */
 
-const { execSync } = require('child_process');
+const { spawn, execFileSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const SessionBuilder = require('./session-builder');
+const AnalysisCache = require('./analysis-cache');
+const IdentityResolver = require('./identity-resolver');
+const { createEstimationModel } = require('./estimation-models');
+const CommitFilter = require('./commit-filters');
+const ActivitySignals = require('./activity-signals');
+const WorkCalendar = require('./work-calendar');
+const BillingPolicy = require('./billing');
+const WorkPatterns = require('./work-patterns');
+const { formatAmount } = BillingPolicy;
+const { resolveWorklogPath } = require('./worklog-home');
+const { WEEKDAYS, resolveTimeZone, parseWeekStart, formatDate, formatDateTime, startOfDay } = require('./time-zone');
+
+const RECORD_SEPARATOR = '\x1e';
+const FIELD_SEPARATOR = '\x00';
+const PROGRESS_INTERVAL = 10000; // commits between progress lines when not on a terminal
+
+// Config file settings that name other files
+const CONFIG_PATH_KEYS = ['aliasFile', 'filtersFile', 'calendarFile', 'billingFile'];
+
+// Fields requested from `git log`, in output order
+const COMMIT_FIELDS = [
+  { name: 'hash', placeholder: '%H' },
+  { name: 'shortHash', placeholder: '%h' },
+  { name: 'author', placeholder: '%aN' }, // %aN/%aE/%cN/%cE apply the repository's .mailmap
+  { name: 'email', placeholder: '%aE' },
+  { name: 'committer', placeholder: '%cN' },
+  { name: 'committerEmail', placeholder: '%cE' },
+  { name: 'originalAuthor', placeholder: '%an' },
+  { name: 'originalEmail', placeholder: '%ae' },
+  { name: 'authorDate', placeholder: '%aI' },
+  { name: 'committerDate', placeholder: '%cI' },
+  { name: 'parents', placeholder: '%P' },
+  { name: 'source', placeholder: '%S' }, // ref the commit was reached from (needs --source)
+  { name: 'subject', placeholder: '%s' },
+  { name: 'body', placeholder: '%b' },
+  { name: 'trailers', placeholder: '%(trailers:only,unfold)' }
+];
 
 class GitTimeAnalyzer {
   constructor(options = {}) {
     this.maxSessionGap = options.maxSessionGap || 2; // hours
-    this.minSessionTime = options.minSessionTime || 15; // minutes
-    this.defaultSessionTime = options.defaultSessionTime || 30; // minutes for single commits
-    this.author = options.author || null; // filter by author
+    this.minSessionTime = options.minSessionTime != null ? options.minSessionTime : 15; // minutes
+    this.defaultSessionTime = options.defaultSessionTime != null ? options.defaultSessionTime : 30; // minutes for single commits
+    this.author = options.author || null; // filter by author (matched against canonical identities)
+    this.dateSource = options.dateSource || 'author'; // author, committer or smart
+    if (!['author', 'committer', 'smart'].includes(this.dateSource)) {
+      throw new Error(`Unknown date source "${this.dateSource}". Use author, committer or smart`);
+    }
+    this.rewriteThreshold = options.rewriteThreshold || 24; // hours between author and committer date
+    this.timezone = resolveTimeZone(options.timezone); // IANA zone for days, weeks and printed times
+    this.weekStart = WEEKDAYS[parseWeekStart(options.weekStart)];
+    this.splitAtMidnight = options.splitAtMidnight || false; // split sessions at local midnight
+    this.maxSessionHours = options.maxSessionHours || null; // longest stretch before a break is inserted
+    this.breakMinutes = options.breakMinutes != null ? options.breakMinutes : 30; // break inserted at each cut
+    this.calendar = options.calendar || (options.calendarFile
+      ? WorkCalendar.fromFile(options.calendarFile, { timezone: this.timezone })
+      : null); // working hours, holidays and days off for overtime tagging
+    this.project = options.project || null; // project of sessions without a Worklog-Project trailer
+    this.focusMinutes = options.focusMinutes || 90; // shortest session counted as a focus block
+    this.billing = options.billing || (options.billingFile
+      ? BillingPolicy.fromFile(options.billingFile, options.client ? { client: options.client } : {})
+      : null); // rates and rounding for billable amounts
+    this.modelName = options.model || 'gap';
+    this.modelParams = options.modelParams || {};
+    this.model = createEstimationModel(this.modelName, this.modelParams);
+    this.filter = options.filter || new CommitFilter([
+      ...(options.filterPresets || []).map(preset => CommitFilter.preset(preset)),
+      ...(options.filterRules || []),
+      ...CommitFilter.fromConfig(options.filters || {}, options.filtersFile).fingerprint()
+    ]);
+    this.identities = options.identities || IdentityResolver.fromFile(
+      options.aliasFile || resolveWorklogPath('aliases.json'),
+      { optional: !options.aliasFile }
+    );
+    const signalSources = options.signals === true ? ActivitySignals.SIGNAL_SOURCES : (options.signals || []);
+    this.signals = signalSources.length > 0
+      ? new ActivitySignals({ sources: signalSources, identities: this.identities })
+      : null; // reflog and working-tree activity merged into the commit timeline
+    this.cache = options.cache === false ? null : (options.cache || new AnalysisCache());
+    this.rebuildCache = options.rebuildCache || false;
+  }
+
+  /**
+   * Build the `git log` arguments for a date range
+   *
+   * Each commit is emitted as a record starting with an ASCII record separator
+   * (0x1e) whose fields are separated by NUL bytes, so subjects and bodies can
+   * contain any printable character (pipes, newlines) without corrupting the
+   * parse. The `--numstat` block follows the last field of each record.
+   * Commits are listed oldest first, but Git still lists parents before their
+   * children, so rebased, amended or cherry-picked commits can come out of date
+   * order: callers sort them before building sessions.
+   * The author filter is applied after identity resolution, not by Git.
+   */
+  buildLogArgs(since = null, until = null, exclude = []) {
+    const format = `%x1e${COMMIT_FIELDS.map(field => field.placeholder).join('%x00')}%x00`;
+    const order = this.dateSource === 'committer' ? '--date-order' : '--author-date-order';
+    const args = ['log', `--pretty=format:${format}`, '--numstat', '--all', '--source', order, '--reverse'];
+
+    if (since) {
+      args.push(`--since=${since}`);
+    }
+    if (until) {
+      args.push(`--until=${until}`);
+    }
+    if (exclude.length > 0) {
+      args.push('--not', ...exclude);
+    }
+
+    return args;
+  }
+
+  /**
+   * Stream Git commits within a date range, calling `onCommit` for each one
+   * Output is parsed incrementally so memory does not grow with the raw log size.
+   * Commits reachable from `exclude` are skipped.
+   */
+  streamCommits(since = null, until = null, repository = '.', onCommit = () => {}, exclude = []) {
+    return new Promise((resolve, reject) => {
+      const git = spawn('git', this.buildLogArgs(since, until, exclude), { cwd: repository });
+      let buffer = '';
+      let errorOutput = '';
+      let count = 0;
+      let failed = false;
+
+      const emit = (record) => {
+        if (!record.trim()) {
+          return;
+        }
+        try {
+          const commit = this.parseCommitRecord(record);
+          if (!this.identities.matchesAuthor(commit, this.author)) {
+            return;
+          }
+          onCommit(commit);
+          count++;
+        } catch (error) {
+          failed = true;
+          git.kill();
+          reject(error);
+        }
+      };
+
+      git.stdout.setEncoding('utf8');
+      git.stdout.on('data', (chunk) => {
+        if (failed) {
+          return;
+        }
+        buffer += chunk;
+        const records = buffer.split(RECORD_SEPARATOR);
+        buffer = records.pop(); // the last record may still be incomplete
+        records.forEach(emit);
+      });
+
+      git.stderr.setEncoding('utf8');
+      git.stderr.on('data', (chunk) => {
+        errorOutput += chunk;
+      });
+
+      git.on('error', (error) => {
+        failed = true;
+        if (error.code === 'ENOENT' && !fs.existsSync(repository)) {
+          reject(new Error(`Repository not found: ${path.resolve(repository)}`));
+        } else {
+          reject(new Error(`Failed to run git: ${error.message}`));
+        }
+      });
+
+      git.on('close', (code) => {
+        if (failed) {
+          return;
+        }
+        if (code !== 0) {
+          reject(new Error(errorOutput.trim() || `git log exited with code ${code}`));
+          return;
+        }
+        emit(buffer);
+        resolve(count);
+      });
+    });
   }
 
   /**
    * Get Git commits within a date range
    */
-  getCommits(since = null, until = null, repository = '.') {
-    try {
-      let gitCommand = 'git log --pretty=format:"%h|%an|%ae|%ad|%s" --date=iso --all';
-      
-      if (since) {
-        gitCommand += ` --since="${since}"`;
-      }
-      if (until) {
-        gitCommand += ` --until="${until}"`;
-      }
-      if (this.author) {
-        gitCommand += ` --author="${this.author}"`;
+  async getCommits(since = null, until = null, repository = '.') {
+    const commits = [];
+    await this.streamCommits(since, until, repository, commit => commits.push(commit));
+    return commits.sort((a, b) => a.date - b.date);
+  }
+
+  /**
+   * Parse one NUL-separated `git log` record into a commit object
+   * Author and committer are the canonical identities (.mailmap plus alias file)
+   */
+  parseCommitRecord(record) {
+    const values = record.split(FIELD_SEPARATOR);
+    const fields = {};
+    COMMIT_FIELDS.forEach((field, index) => {
+      fields[field.name] = values[index] || '';
+    });
+
+    const files = (values[COMMIT_FIELDS.length] || '').split('\n')
+      .map(line => this.parseNumstatLine(line))
+      .filter(Boolean);
+
+    const authorDate = new Date(fields.authorDate);
+    const committerDate = new Date(fields.committerDate);
+    const body = fields.body.trim();
+    const trailers = this.parseTrailers(fields.trailers);
+    const timestamp = this.selectTimestamp(authorDate, committerDate, body);
+
+    return this.identities.applyTo({
+      hash: fields.hash,
+      shortHash: fields.shortHash,
+      author: fields.author,
+      email: fields.email,
+      committer: fields.committer,
+      committerEmail: fields.committerEmail,
+      originalAuthor: fields.originalAuthor,
+      originalEmail: fields.originalEmail,
+      date: timestamp.date,
+      timestampSource: timestamp.source,
+      authorDate,
+      committerDate,
+      rewritten: timestamp.rewritten,
+      parents: fields.parents ? fields.parents.split(' ') : [],
+      branch: this.branchName(fields.source),
+      message: fields.subject,
+      subject: fields.subject,
+      body,
+      trailers,
+      worklog: this.parseWorklogTrailers(trailers),
+      files,
+      stats: this.summarizeFileChanges(files)
+    });
+  }
+
+  /**
+   * Branch name of the ref a commit was reached from, e.g. "feature/login" for
+   * refs/heads/feature/login or refs/remotes/origin/feature/login
+   */
+  branchName(ref) {
+    if (!ref) {
+      return null;
+    }
+    return ref.replace(/^refs\/heads\//, '').replace(/^refs\/remotes\/[^/]+\//, '');
+  }
+
+  /**
+   * Pick the timestamp a commit is placed at
+   *
+   * Author and committer dates drift apart when history is rewritten: a rebase
+   * keeps the author dates but gives every commit the same committer date, a
+   * cherry-pick carries an old author date into a new branch. Commits whose
+   * dates diverge by more than `rewriteThreshold` hours are flagged. In "smart"
+   * mode rebased and amended commits keep their author date, while cherry-picks
+   * (marked by `git cherry-pick -x`) are placed when they were picked.
+   */
+  selectTimestamp(authorDate, committerDate, body) {
+    const divergenceHours = Math.abs(committerDate - authorDate) / (1000 * 60 * 60);
+    const cherryPicked = /\(cherry picked from commit [0-9a-f]+\)/.test(body);
+    const rewritten = divergenceHours > this.rewriteThreshold
+      ? { divergenceHours: Math.round(divergenceHours * 10) / 10, kind: cherryPicked ? 'cherry-pick' : 'rebase or amend' }
+      : null;
+
+    let source = this.dateSource;
+    if (source === 'smart') {
+      source = rewritten && cherryPicked ? 'committer' : 'author';
+    }
+
+    return {
+      date: source === 'committer' ? committerDate : authorDate,
+      source,
+      rewritten
+    };
+  }
+
+  /**
+   * Parse unfolded "Key: value" trailer lines into a key => values map
+   */
+  parseTrailers(text) {
+    const trailers = {};
+
+    text.split('\n').forEach(line => {
+      const match = line.match(/^([\w-]+):\s*(.*)$/);
+      if (match) {
+        (trailers[match[1]] = trailers[match[1]] || []).push(match[2].trim());
       }
+    });
 
-      const output = execSync(gitCommand, { 
-        cwd: repository,
-        encoding: 'utf8' 
-      });
+    return trailers;
+  }
+
+  /**
+   * Look up the last value of a trailer, ignoring key case
+   */
+  getTrailer(trailers, name) {
+    const key = Object.keys(trailers).find(candidate => candidate.toLowerCase() === name.toLowerCase());
+    return key ? trailers[key][trailers[key].length - 1] : null;
+  }
+
+  /**
+   * Extract worklog hints from commit trailers:
+   *   Time-Spent: 1h30m          explicit time for this commit (replaces the estimate)
+   *   Worklog-Skip: true         leave the commit out of the analysis
+   *   Worklog-Project: ClientX   project to book the session on
+   *   Worklog-Activity: review   activity to book the session as
+   */
+  parseWorklogTrailers(trailers) {
+    const timeSpent = this.getTrailer(trailers, 'Time-Spent');
+    const skip = this.getTrailer(trailers, 'Worklog-Skip');
+
+    return {
+      timeSpent: timeSpent ? this.parseTimeSpent(timeSpent) : null,
+      skip: skip ? /^(true|yes|1|on)$/i.test(skip) : false,
+      project: this.getTrailer(trailers, 'Worklog-Project') || null,
+      activity: this.getTrailer(trailers, 'Worklog-Activity') || null
+    };
+  }
+
+  /**
+   * Convert a Time-Spent value to minutes
+   * Accepts "1h30m", "1h 30m", "1.5h", "45m", "1:30" and bare minutes ("90")
+   */
+  parseTimeSpent(value) {
+    const text = value.trim().toLowerCase();
+
+    const clock = text.match(/^(\d+):(\d{1,2})$/);
+    if (clock) {
+      return parseInt(clock[1], 10) * 60 + parseInt(clock[2], 10);
+    }
+    if (/^\d+(\.\d+)?$/.test(text)) {
+      return parseFloat(text);
+    }
+
+    const units = text.match(/^(?:(\d+(?:\.\d+)?)\s*h(?:ours?|rs?)?)?\s*(?:(\d+(?:\.\d+)?)\s*m(?:in(?:utes?|s)?)?)?$/);
+    if (units && (units[1] || units[2])) {
+      return parseFloat(units[1] || 0) * 60 + parseFloat(units[2] || 0);
+    }
+
+    return null; // unparseable values fall back to the estimate
+  }
+
+  /**
+   * Parse a single `--numstat` line ("added<TAB>removed<TAB>path")
+   * Binary files are reported by Git as "-<TAB>-<TAB>path"
+   */
+  parseNumstatLine(line) {
+    const match = line.match(/^(\d+|-)\t(\d+|-)\t(.+)$/);
+    if (!match) {
+      return null;
+    }
+
+    const binary = match[1] === '-' && match[2] === '-';
+    return {
+      path: match[3],
+      insertions: binary ? 0 : parseInt(match[1], 10),
+      deletions: binary ? 0 : parseInt(match[2], 10),
+      binary
+    };
+  }
+
+  /**
+   * Aggregate file changes into diff statistics
+   * Files are counted once even if they appear in several changes
+   */
+  summarizeFileChanges(files) {
+    const paths = new Set();
+    const binaryPaths = new Set();
+    let insertions = 0;
+    let deletions = 0;
 
-      if (!output.trim()) {
-        return [];
+    files.forEach(file => {
+      paths.add(file.path);
+      if (file.binary) {
+        binaryPaths.add(file.path);
       }
+      insertions += file.insertions;
+      deletions += file.deletions;
+    });
 
-      return output.trim().split('\n').map(line => {
-        const [hash, author, email, date, message] = line.split('|');
-        return {
-          hash,
-          author,
-          email,
-          date: new Date(date),
-          message: message || ''
-        };
-      }).sort((a, b) => a.date - b.date);
-    } catch (error) {
-      console.error('Error getting Git commits:', error.message);
-      return [];
+    return {
+      filesChanged: paths.size,
+      insertions,
+      deletions,
+      binaryFiles: binaryPaths.size
+    };
+  }
+
+  /**
+   * Aggregate the diff statistics of several commits
+   * Works on parsed commits (with `files`) and finalized ones (with `paths`), so
+   * files are counted once even if several commits change them
+   */
+  summarizeCommits(commits) {
+    const paths = new Set();
+    const binaryPaths = new Set();
+    let insertions = 0;
+    let deletions = 0;
+
+    commits.forEach(commit => {
+      const compact = commit.files ? this.compactCommit(commit) : commit;
+      (compact.paths || []).forEach(file => paths.add(file));
+      (compact.binaryPaths || []).forEach(file => binaryPaths.add(file));
+      insertions += commit.stats ? commit.stats.insertions : 0;
+      deletions += commit.stats ? commit.stats.deletions : 0;
+    });
+
+    return {
+      filesChanged: paths.size,
+      insertions,
+      deletions,
+      binaryFiles: binaryPaths.size
+    };
+  }
+
+  /**
+   * A commit without its per-file changes: only the changed paths and its `stats` are kept,
+   * so finalized sessions do not hold every file change of the history in memory
+   */
+  compactCommit(commit) {
+    if (!commit.files) {
+      return commit;
+    }
+    const { files, ...compact } = commit;
+    compact.paths = files.map(file => file.path);
+    const binaryPaths = files.filter(file => file.binary).map(file => file.path);
+    if (binaryPaths.length > 0) {
+      compact.binaryPaths = binaryPaths;
     }
+    return compact;
   }
 
   /**
    * Estimate coding sessions from commits
    */
   analyzeSessions(commits) {
-    if (commits.length === 0) {
+    const builder = new SessionBuilder(this);
+    commits.forEach(commit => builder.add(commit));
+    return builder.finish();
+  }
+
+  /**
+   * Split a grouped session at local midnight and after `maxSessionHours`, then finalize every part
+   *
+   * Shares are estimated once for the whole session, so splitting moves time
+   * between parts instead of re-estimating it. At a midnight cut the share
+   * spanning midnight is divided between the two days; at a length cut the
+   * share bridging the cut is reduced by `breakMinutes` (the inserted break).
+   */
+  finalizeSessions(session) {
+    // Signals only extend or open commit sessions; activity without any commit is not counted
+    if (session.commits.length === 0) {
       return [];
     }
+    if (!this.splitAtMidnight && !this.maxSessionHours) {
+      return [this.finalizeSession(session)];
+    }
 
-    const sessions = [];
-    let currentSession = null;
-
-    for (let i = 0; i < commits.length; i++) {
-      const commit = commits[i];
-      const nextCommit = commits[i + 1];
+    const timeline = session.commits.concat(session.signals || []).sort((a, b) => a.date - b.date);
+    const shares = this.model.shares(timeline, this);
+    const shareOf = new Map();
+    const parts = [];
+    let part = null;
 
-      if (!currentSession) {
-        currentSession = {
-          start: commit.date,
-          end: commit.date,
-          commits: [commit],
-          author: commit.author,
-          email: commit.email
-        };
-      } else {
-        const timeSinceLastCommit = (commit.date - currentSession.end) / (1000 * 60 * 60); // hours
+    timeline.forEach((entry, index) => {
+      let share = shares[index];
+      const reason = part ? this.findSplitReason(part.session, entry) : null;
 
-        if (timeSinceLastCommit <= this.maxSessionGap && commit.author === currentSession.author) {
-          // Continue current session
-          currentSession.end = commit.date;
-          currentSession.commits.push(commit);
-        } else {
-          // End current session and start a new one
-          sessions.push(this.finalizeSession(currentSession));
-          currentSession = {
-            start: commit.date,
-            end: commit.date,
-            commits: [commit],
-            author: commit.author,
-            email: commit.email
-          };
-        }
+      if (reason === 'midnight') {
+        const previous = part.timeline[part.timeline.length - 1];
+        const shareStart = entry.date.getTime() - share * 60 * 1000;
+        const beforeMidnight = Math.min(Math.max((startOfDay(entry.date, this.timezone) - shareStart) / (1000 * 60), 0), share);
+        shareOf.set(previous, shareOf.get(previous) + beforeMidnight);
+        share -= beforeMidnight;
+      } else if (reason === 'max-length') {
+        share = Math.max(share - this.breakMinutes, 0);
       }
 
-      // If this is the last commit, close the session
-      if (i === commits.length - 1) {
-        sessions.push(this.finalizeSession(currentSession));
+      if (!part || reason) {
+        part = {
+          session: { ...session, start: entry.date, end: entry.date, commits: [], signals: [] },
+          timeline: [],
+          reason
+        };
+        parts.push(part);
       }
+      (entry.signal ? part.session.signals : part.session.commits).push(entry);
+      part.timeline.push(entry);
+      part.session.end = entry.date;
+      shareOf.set(entry, share);
+    });
+
+    if (parts.length > 1) {
+      const group = `${session.author}|${session.start.toISOString()}`;
+      const reasons = [...new Set(parts.map(candidate => candidate.reason).filter(Boolean))];
+      parts.forEach((candidate, index) => {
+        candidate.session.split = {
+          group,
+          part: index + 1,
+          parts: parts.length,
+          reasons,
+          breakBefore: candidate.reason === 'max-length' ? this.breakMinutes : 0
+        };
+      });
     }
 
-    return sessions;
+    return parts.map(candidate => this.finalizeSession(candidate.session, shareOf));
+  }
+
+  /**
+   * Why an entry cannot join a session part: 'midnight', 'max-length' or null
+   */
+  findSplitReason(session, entry) {
+    if (this.splitAtMidnight && formatDate(entry.date, this.timezone) !== formatDate(session.start, this.timezone)) {
+      return 'midnight';
+    }
+    if (this.maxSessionHours && (entry.date - session.start) / (1000 * 60 * 60) > this.maxSessionHours) {
+      return 'max-length';
+    }
+    return null;
   }
 
   /**
    * Calculate session duration and finalize session data
+   *
+   * The estimation model assigns every commit and activity signal a share of
+   * the session, scaled by the weight of down-weighted commits. A commit with a
+   * Time-Spent trailer replaces its share with the explicit time. Parts of a
+   * split session pass the shares computed for the whole session in `shareOf`.
    */
-  finalizeSession(session) {
-    let duration;
+  finalizeSession(session, shareOf = null) {
+    const commits = [...session.commits].sort((a, b) => a.date - b.date);
+    const signals = [...(session.signals || [])].sort((a, b) => a.date - b.date);
+    const timeline = commits.concat(signals).sort((a, b) => a.date - b.date);
+    const shares = shareOf ? timeline.map(entry => shareOf.get(entry)) : this.model.shares(timeline, this);
+    let estimatedMinutes = 0;
+    let explicitMinutes = 0;
 
-    if (session.commits.length === 1) {
-      // Single commit gets default time
-      duration = this.defaultSessionTime;
-    } else {
-      // Multiple commits: time between first and last commit + default time for last commit
-      const sessionSpan = (session.end - session.start) / (1000 * 60); // minutes
-      duration = Math.max(sessionSpan + this.defaultSessionTime, this.minSessionTime);
+    timeline.forEach((commit, index) => {
+      const explicit = commit.worklog && commit.worklog.timeSpent;
+      if (explicit != null) {
+        explicitMinutes += explicit;
+      } else {
+        estimatedMinutes += shares[index] * (commit.weight != null ? commit.weight : 1);
+      }
+    });
+
+    let duration = explicitMinutes;
+    let capped = false;
+    if (estimatedMinutes > 0) {
+      // Only estimates are adjusted by the model, capped and floored; explicit time is kept as logged
+      let estimated = this.model.total(estimatedMinutes, session);
+      const limit = this.maxSessionHours ? Math.max(this.maxSessionHours * 60 - explicitMinutes, 0) : Infinity;
+      if (estimated > limit) {
+        estimated = limit;
+        capped = true;
+      }
+      duration = Math.max(explicitMinutes + estimated, this.minSessionTime);
     }
 
     return {
       ...session,
+      commits: commits.map(commit => this.compactCommit(commit)),
       duration: Math.round(duration), // minutes
       hours: Math.round((duration / 60) * 100) / 100, // hours rounded to 2 decimal places
-      commitCount: session.commits.length,
-      description: this.generateSessionDescription(session.commits)
+      explicitMinutes: Math.round(explicitMinutes),
+      estimation: {
+        model: this.modelName,
+        estimatedMinutes: Math.round(estimatedMinutes),
+        explicitMinutes: Math.round(explicitMinutes)
+      },
+      project: this.findWorklogHint(commits, 'project'),
+      activity: this.findWorklogHint(commits, 'activity'),
+      commitCount: commits.length,
+      branches: [...new Set(commits.map(commit => commit.branch).filter(Boolean))],
+      stats: this.summarizeCommits(commits),
+      rewrittenCommits: commits.filter(commit => commit.rewritten).length,
+      split: session.split || null,
+      capped,
+      signals: signals.map(signal => ({ date: signal.date, source: signal.signal, kind: signal.kind, subject: signal.subject })),
+      sources: [...(commits.length > 0 ? ['commits'] : []), ...new Set(signals.map(signal => signal.signal))],
+      description: commits.length > 0 ? this.generateSessionDescription(commits) : this.describeSignals(signals)
     };
   }
 
+  /**
+   * Description for a part of a split session made of activity signals only
+   */
+  describeSignals(signals) {
+    const kinds = [...new Set(signals.map(signal => signal.kind))];
+    return `Uncommitted activity (${kinds.join(', ')})`;
+  }
+
+  /**
+   * Count a session's signals by source and kind, e.g. "reflog: 2 checkout, 1 rebase"
+   */
+  summarizeSignals(signals) {
+    const sources = {};
+    signals.forEach(signal => {
+      const kinds = (sources[signal.source] = sources[signal.source] || {});
+      kinds[signal.kind] = (kinds[signal.kind] || 0) + 1;
+    });
+
+    return Object.entries(sources)
+      .map(([source, kinds]) => `${source}: ${Object.entries(kinds).map(([kind, count]) => `${count} ${kind}`).join(', ')}`)
+      .join('; ');
+  }
+
+  /**
+   * First project/activity hint given by any commit in the session
+   */
+  findWorklogHint(commits, key) {
+    const commit = commits.find(candidate => candidate.worklog && candidate.worklog[key]);
+    return commit ? commit.worklog[key] : null;
+  }
+
   /**
    * Generate a description for the coding session
    */
@@ -155,35 +647,458 @@ class GitTimeAnalyzer {
 
   /**
    * Analyze repository and return time tracking data
+   * Commits are streamed from Git and sessionized as they arrive; with the cache
+   * enabled only commits added since the previous run are processed
    */
-  analyze(repository = '.', since = null, until = null) {
+  async analyze(repository = '.', since = null, until = null) {
     console.log(`\n🔍 Analyzing Git repository: ${path.resolve(repository)}`);
     if (since) console.log(`📅 Since: ${since}`);
     if (until) console.log(`📅 Until: ${until}`);
     if (this.author) console.log(`👤 Author: ${this.author}`);
 
-    const commits = this.getCommits(since, until, repository);
-    console.log(`📊 Found ${commits.length} commits`);
+    let { sessions, excluded } = await this.collectSessions(repository, since, until);
+    if (this.signals) {
+      sessions = this.mergeSignals(sessions, repository, since, until);
+    }
+    if (this.calendar) {
+      sessions.forEach(session => {
+        session.calendar = this.calendar.tagSession(session);
+      });
+    }
+    const totalCommits = sessions.reduce((total, session) => total + session.commits.length, 0);
+
+    if (excluded.length > 0) {
+      console.log(`🚫 Excluded ${excluded.length} commits`);
+    }
 
-    if (commits.length === 0) {
+    if (sessions.length === 0) {
       return {
         repository: path.resolve(repository),
         totalCommits: 0,
         totalHours: 0,
-        sessions: []
+        stats: this.summarizeFileChanges([]),
+        authors: [],
+        estimation: this.describeEstimation(),
+        sessions: [],
+        excludedCommits: excluded,
+        filtering: this.summarizeFiltering([], excluded),
+        timestampWarnings: [],
+        timezone: this.timezone,
+        weekStart: this.weekStart,
+        calendar: this.calendar ? this.calendar.summarize([]) : null,
+        billing: this.billing ? this.billing.summarize([]) : null,
+        patterns: this.analyzePatterns([])
       };
     }
 
-    const sessions = this.analyzeSessions(commits);
     const totalHours = sessions.reduce((total, session) => total + session.hours, 0);
+    const billing = this.billing
+      ? this.billing.applyTo(sessions, {
+        timezone: this.timezone,
+        calendar: this.calendar,
+        project: this.project || path.basename(path.resolve(repository))
+      })
+      : null;
 
     console.log(`⏱️  Estimated ${totalHours.toFixed(2)} hours across ${sessions.length} coding sessions\n`);
 
     return {
       repository: path.resolve(repository),
-      totalCommits: commits.length,
+      totalCommits,
       totalHours: Math.round(totalHours * 100) / 100,
-      sessions: sessions
+      stats: this.summarizeCommits(sessions.flatMap(session => session.commits)),
+      authors: this.summarizeAuthors(sessions),
+      estimation: this.describeEstimation(),
+      sessions: sessions,
+      excludedCommits: excluded,
+      filtering: this.summarizeFiltering(sessions, excluded),
+      timestampWarnings: this.findTimestampWarnings(sessions, since, until),
+      timezone: this.timezone,
+      weekStart: this.weekStart,
+      calendar: this.calendar ? this.calendar.summarize(sessions) : null,
+      billing,
+      patterns: this.analyzePatterns(sessions)
+    };
+  }
+
+  /**
+   * Heatmap, hour-of-day x weekday matrix, streaks, typical times and focus blocks
+   */
+  analyzePatterns(sessions) {
+    return new WorkPatterns({
+      timezone: this.timezone,
+      weekStart: WEEKDAYS.indexOf(this.weekStart),
+      focusMinutes: this.focusMinutes
+    }).analyze(sessions);
+  }
+
+  /**
+   * Rebuild sessions with reflog and working-tree signals merged into the commit timeline
+   * Signals are read fresh on every run, so they are merged after the (cached) commit sessions
+   */
+  mergeSignals(sessions, repository, since, until) {
+    let signals;
+    try {
+      signals = this.signals.collect(repository, since, until)
+        .filter(signal => this.identities.matchesAuthor(signal, this.author));
+    } catch (error) {
+      console.error('Error reading activity signals:', error.message);
+      return sessions;
+    }
+
+    if (signals.length === 0) {
+      console.log(`📡 No activity signals found (${this.signals.sources.join(', ')})`);
+      return sessions;
+    }
+
+    const builder = new SessionBuilder(this);
+    sessions.flatMap(session => session.commits)
+      .concat(signals)
+      .sort((a, b) => a.date - b.date)
+      .forEach(entry => builder.add(entry));
+    const merged = builder.finish();
+
+    const used = merged.reduce((total, session) => total + session.signals.length, 0);
+    console.log(`📡 Merged ${used} of ${signals.length} activity signals (${this.signals.sources.join(', ')})` +
+      (used < signals.length ? `; ${signals.length - used} away from any commit were ignored` : ''));
+    return merged;
+  }
+
+  /**
+   * Sessions containing rewritten commits (author and committer dates far apart)
+   * or placed outside the requested period. Git's --since/--until filter on the
+   * committer date, so rebased work can carry author dates from earlier periods.
+   */
+  findTimestampWarnings(sessions, since, until) {
+    const sinceDate = since && !isNaN(Date.parse(since)) ? new Date(since) : null;
+    const untilDate = until && !isNaN(Date.parse(until)) ? new Date(until) : null;
+    const warnings = [];
+
+    sessions.forEach((session, index) => {
+      const reasons = [];
+      const rewritten = session.commits.filter(commit => commit.rewritten);
+
+      if (rewritten.length > 0) {
+        const maxDivergence = Math.max(...rewritten.map(commit => commit.rewritten.divergenceHours));
+        const kinds = [...new Set(rewritten.map(commit => commit.rewritten.kind))].join(', ');
+        reasons.push(`${rewritten.length} commit(s) with author and committer dates up to ${maxDivergence}h apart (${kinds})`);
+      }
+      if ((sinceDate && session.start < sinceDate) || (untilDate && session.end > untilDate)) {
+        reasons.push('starts before --since or ends after --until (rewritten commits keep their old dates)');
+      }
+
+      if (reasons.length > 0) {
+        warnings.push({
+          session: index + 1,
+          start: session.start,
+          author: session.author,
+          commits: rewritten.map(commit => commit.shortHash),
+          reasons
+        });
+      }
+    });
+
+    return warnings;
+  }
+
+  /**
+   * Estimation model and parameters used for this analysis
+   */
+  describeEstimation() {
+    return {
+      model: this.modelName,
+      params: this.modelParams,
+      maxSessionGap: this.maxSessionGap,
+      minSessionTime: this.minSessionTime,
+      defaultSessionTime: this.defaultSessionTime,
+      dateSource: this.dateSource,
+      splitAtMidnight: this.splitAtMidnight,
+      maxSessionHours: this.maxSessionHours,
+      breakMinutes: this.breakMinutes,
+      signals: this.signals ? this.signals.sources : []
+    };
+  }
+
+  /**
+   * Per-author totals, largest first
+   */
+  summarizeAuthors(sessions) {
+    const authors = new Map();
+
+    sessions.forEach(session => {
+      const entry = authors.get(session.author) ||
+        { author: session.author, email: session.email, hours: 0, sessions: 0, commits: 0 };
+      entry.hours += session.duration / 60;
+      entry.sessions++;
+      entry.commits += session.commitCount;
+      authors.set(session.author, entry);
+    });
+
+    return [...authors.values()]
+      .map(entry => ({ ...entry, hours: Math.round(entry.hours * 100) / 100 }))
+      .sort((a, b) => b.hours - a.hours);
+  }
+
+  /**
+   * Decide what happens to a commit: null to keep it as is, otherwise
+   * { action: 'drop' | 'weight', reason, rule, weight }
+   */
+  classifyCommit(commit) {
+    if (commit.worklog && commit.worklog.skip) {
+      return { action: 'drop', rule: 'Worklog-Skip', reason: 'Worklog-Skip trailer' };
+    }
+    return this.filter.evaluate(commit);
+  }
+
+  /**
+   * Reason a commit is left out of the analysis, or null to keep it
+   */
+  getExclusionReason(commit) {
+    const verdict = this.classifyCommit(commit);
+    return verdict && verdict.action === 'drop' ? verdict.reason : null;
+  }
+
+  /**
+   * Route a commit either into the session builder or onto the excluded list
+   * Down-weighted commits keep a `weight` that scales their estimated share
+   */
+  admitCommit(commit, builder, excluded) {
+    const verdict = this.classifyCommit(commit);
+    if (verdict && verdict.action === 'drop') {
+      excluded.push({
+        hash: commit.hash,
+        author: commit.author,
+        date: commit.date,
+        subject: commit.subject,
+        rule: verdict.rule,
+        reason: verdict.reason
+      });
+      return false;
+    }
+
+    if (verdict && verdict.action === 'weight') {
+      commit.weight = verdict.weight;
+      commit.weightReason = verdict.reason;
+    }
+    builder.add(commit);
+    return true;
+  }
+
+  /**
+   * Counts of dropped and down-weighted commits per rule
+   */
+  summarizeFiltering(sessions, excluded) {
+    const rules = {};
+    const entryFor = rule => (rules[rule] = rules[rule] || { rule, dropped: 0, downWeighted: 0 });
+
+    excluded.forEach(commit => entryFor(commit.rule || commit.reason).dropped++);
+    sessions.forEach(session => session.commits.forEach(commit => {
+      if (commit.weightReason) {
+        entryFor(commit.weightReason.split(':')[0]).downWeighted++;
+      }
+    }));
+
+    return {
+      rules: this.filter.fingerprint(),
+      results: Object.values(rules)
+    };
+  }
+
+  /**
+   * Produce finalized sessions, reusing and updating the on-disk cache when possible
+   */
+  async collectSessions(repository, since, until) {
+    if (!this.cache || !this.isCacheable(since, until)) {
+      return this.buildSessions(repository, since, until);
+    }
+
+    const settings = this.settingsFingerprint(since, until, repository);
+    const tips = this.getRepositoryTips(repository);
+    if (this.rebuildCache) {
+      this.cache.clear(repository, settings);
+    }
+
+    const cached = this.cache.load(repository, settings);
+    let result;
+
+    if (cached && this.isHistoryPreserved(repository, cached.tips)) {
+      result = await this.updateCachedSessions(repository, since, until, cached, tips);
+    } else {
+      if (cached) {
+        console.log('♻️  History was rewritten since the last run (force-push or rebase), rebuilding cache');
+      }
+      result = await this.buildSessions(repository, since, until);
+    }
+
+    if (tips.length > 0) {
+      this.cache.save(repository, settings, { tips, ...result });
+    }
+    return result;
+  }
+
+  /**
+   * Read the full history and build its sessions
+   * Commits are buffered without their per-file changes and sorted by date first,
+   * since `git log` keeps rewritten commits in topological order
+   */
+  async buildSessions(repository, since, until) {
+    const builder = new SessionBuilder(this);
+    const progress = this.createProgressReporter();
+    const excluded = [];
+    const commits = [];
+
+    // Git errors (no repository, bad revision) propagate: an empty analysis would look like no work
+    await this.streamCommits(since, until, repository, commit => commits.push(this.compactCommit(commit)));
+
+    commits.sort((a, b) => a.date - b.date).forEach((commit, index) => {
+      this.admitCommit(commit, builder, excluded);
+      progress.update(index + 1, builder.sessions.length);
+    });
+
+    const sessions = builder.finish();
+    progress.done(commits.length, sessions.length);
+    return { sessions, excluded };
+  }
+
+  /**
+   * Add commits made since the cached tips to the cached sessions
+   * Sessions that end within `maxSessionGap` of the earliest new commit are
+   * re-opened and rebuilt together with the new commits
+   */
+  async updateCachedSessions(repository, since, until, cached, tips) {
+    const upToDate = { sessions: cached.sessions, excluded: cached.excluded };
+    if (JSON.stringify(cached.tips) === JSON.stringify(tips)) {
+      console.log(`♻️  Using cached analysis (${cached.sessions.length} sessions, no new commits)`);
+      return upToDate;
+    }
+
+    const newCommits = [];
+    await this.streamCommits(since, until, repository, commit => newCommits.push(commit), cached.tips);
+
+    if (newCommits.length === 0) {
+      console.log(`♻️  Using cached analysis (${cached.sessions.length} sessions, no new commits)`);
+      return upToDate;
+    }
+
+    const earliest = Math.min(...newCommits.map(commit => commit.date.getTime()));
+    const reopenAfter = earliest - this.maxSessionGap * 60 * 60 * 1000;
+    // Parts of a split session are re-opened together so shares can move across the cuts again
+    const reopenedGroups = new Set(cached.sessions
+      .filter(session => session.split && session.end.getTime() >= reopenAfter)
+      .map(session => session.split.group));
+    const isReopened = session => session.end.getTime() >= reopenAfter ||
+      (session.split != null && reopenedGroups.has(session.split.group));
+    const kept = cached.sessions.filter(session => !isReopened(session));
+    const reopened = cached.sessions.filter(isReopened);
+
+    const builder = new SessionBuilder(this);
+    const excluded = [...cached.excluded];
+    reopened.flatMap(session => session.commits)
+      .concat(newCommits)
+      .sort((a, b) => a.date - b.date)
+      .forEach(commit => this.admitCommit(commit, builder, excluded));
+
+    console.log(`♻️  Reused ${kept.length} cached sessions, processed ${newCommits.length} new commits (${reopened.length} sessions re-opened)`);
+    return {
+      sessions: kept.concat(builder.finish()).sort((a, b) => a.start - b.start),
+      excluded
+    };
+  }
+
+  /**
+   * Settings that change which commits are read or how sessions are built
+   */
+  settingsFingerprint(since, until, repository) {
+    return {
+      since,
+      until,
+      author: this.author,
+      identities: this.identities.fingerprint(repository),
+      maxSessionGap: this.maxSessionGap,
+      minSessionTime: this.minSessionTime,
+      defaultSessionTime: this.defaultSessionTime,
+      dateSource: this.dateSource,
+      rewriteThreshold: this.rewriteThreshold,
+      splitAtMidnight: this.splitAtMidnight,
+      maxSessionHours: this.maxSessionHours,
+      breakMinutes: this.breakMinutes,
+      timezone: this.splitAtMidnight ? this.timezone : null,
+      model: this.modelName,
+      modelParams: this.modelParams,
+      filters: this.filter.fingerprint()
+    };
+  }
+
+  /**
+   * Relative dates ("last week") move between runs, so only absolute ranges are cached
+   */
+  isCacheable(since, until) {
+    return [since, until].every(date => !date || !isNaN(Date.parse(date)));
+  }
+
+  /**
+   * Object names of every ref (and HEAD) that `git log --all` starts from
+   */
+  getRepositoryTips(repository) {
+    try {
+      const refs = execFileSync('git', ['for-each-ref', '--format=%(objectname)'], { cwd: repository, encoding: 'utf8' });
+      const tips = refs.split('\n').filter(Boolean);
+      try {
+        tips.push(execFileSync('git', ['rev-parse', 'HEAD'], { cwd: repository, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim());
+      } catch (error) {
+        // Unborn HEAD: nothing to add
+      }
+      return [...new Set(tips)].sort();
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * True when every commit reachable from the cached tips is still reachable
+   * from the current refs, i.e. nothing was force-pushed away or rebased
+   */
+  isHistoryPreserved(repository, cachedTips) {
+    if (!cachedTips || cachedTips.length === 0) {
+      return false;
+    }
+    try {
+      const lost = execFileSync('git', ['rev-list', '--count', ...cachedTips, '--not', '--all'], {
+        cwd: repository,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'ignore']
+      });
+      return parseInt(lost, 10) === 0;
+    } catch (error) {
+      return false; // a cached tip no longer exists
+    }
+  }
+
+  /**
+   * Report ingestion progress: a rewritten line on a terminal, periodic lines otherwise
+   */
+  createProgressReporter() {
+    const interactive = process.stdout.isTTY;
+    const interval = interactive ? 250 : PROGRESS_INTERVAL;
+
+    return {
+      update(commits, sessions) {
+        if (commits % interval !== 0) {
+          return;
+        }
+        const line = `📊 Processed ${commits} commits (${sessions} sessions so far)...`;
+        if (interactive) {
+          process.stdout.write(`\r${line}`);
+        } else {
+          console.log(line);
+        }
+      },
+      done(commits, sessions) {
+        if (interactive) {
+          process.stdout.write('\r\x1b[K');
+        }
+        console.log(`📊 Processed ${commits} commits into ${sessions} sessions`);
+      }
     };
   }
 
@@ -191,27 +1106,165 @@ class GitTimeAnalyzer {
    * Generate a summary report
    */
   generateReport(analysis) {
-    const { repository, totalCommits, totalHours, sessions } = analysis;
+    const { repository, totalCommits, totalHours, stats, authors = [], sessions, excludedCommits = [] } = analysis;
+    const timeZone = analysis.timezone || this.timezone;
 
     console.log('📈 CODING TIME ANALYSIS REPORT');
     console.log('='.repeat(50));
     console.log(`Repository: ${repository}`);
+    console.log(`Time Zone: ${timeZone}`);
     console.log(`Total Commits: ${totalCommits}`);
     console.log(`Total Hours: ${totalHours.toFixed(2)}h`);
+    console.log(`Files Changed: ${stats.filesChanged} (+${stats.insertions}/-${stats.deletions}, ${stats.binaryFiles} binary)`);
     console.log(`Sessions: ${sessions.length}`);
+    if (analysis.estimation) {
+      console.log(`Estimation Model: ${analysis.estimation.model}`);
+      if ((analysis.estimation.signals || []).length > 0) {
+        console.log(`Activity Signals: ${analysis.estimation.signals.join(', ')}`);
+      }
+    }
+    if (excludedCommits.length > 0) {
+      console.log(`Excluded Commits: ${excludedCommits.length}`);
+    }
+    const splitSessions = sessions.filter(session => session.split).length;
+    const cappedSessions = sessions.filter(session => session.capped).length;
+    if (splitSessions > 0 || cappedSessions > 0) {
+      console.log(`Split Sessions: ${splitSessions}, Capped Sessions: ${cappedSessions}`);
+    }
     console.log('='.repeat(50));
 
+    const filterResults = analysis.filtering ? analysis.filtering.results : [];
+    if (filterResults.length > 0) {
+      console.log('\n🚫 Filtered Commits:');
+      filterResults.forEach(entry => {
+        console.log(`   ${entry.rule}: ${entry.dropped} dropped, ${entry.downWeighted} down-weighted`);
+      });
+      excludedCommits.slice(0, 10).forEach(commit => {
+        console.log(`   - ${(commit.hash || '').substring(0, 7)} ${commit.subject} (${commit.reason})`);
+      });
+      if (excludedCommits.length > 10) {
+        console.log(`   ... and ${excludedCommits.length - 10} more (see excludedCommits in the JSON output)`);
+      }
+    }
+
+    const timestampWarnings = analysis.timestampWarnings || [];
+    if (timestampWarnings.length > 0) {
+      console.log('\n⚠️  Timestamp Warnings (rewritten history):');
+      timestampWarnings.forEach(warning => {
+        console.log(`   Session ${warning.session} (${formatDateTime(warning.start, timeZone)}, ${warning.author}):`);
+        warning.reasons.forEach(reason => console.log(`     - ${reason}`));
+      });
+      console.log(`   Timestamp source: ${analysis.estimation.dateSource} (compare with --date-source author|committer|smart)`);
+    }
+
+    if (analysis.calendar) {
+      const { hours, outOfHoursHours, overtimeHours } = analysis.calendar;
+      console.log('\n🗓️  Working Hours:');
+      console.log(`   Regular: ${hours.regular.toFixed(2)}h | Evening: ${hours.evening.toFixed(2)}h | Weekend: ${hours.weekend.toFixed(2)}h | Holiday: ${hours.holiday.toFixed(2)}h`);
+      console.log(`   Out of hours: ${outOfHoursHours.toFixed(2)}h | Overtime: ${overtimeHours.toFixed(2)}h`);
+    }
+
+    if (analysis.patterns && analysis.patterns.streaks.activeDays > 0) {
+      const { hourly, streaks, sessionTimes, focus } = analysis.patterns;
+      console.log('\n🔥 Work Patterns:');
+      console.log(`   Active days: ${streaks.activeDays} of ${streaks.totalDays} | Longest streak: ${streaks.longest.days} day${streaks.longest.days === 1 ? '' : 's'} (${streaks.longest.from} to ${streaks.longest.to})`);
+      console.log(`   Typical session: ${sessionTimes.averageStart} to ${sessionTimes.averageEnd}${hourly.peak ? ` | Busiest hour: ${hourly.peak.weekday} ${String(hourly.peak.hour).padStart(2, '0')}:00` : ''}`);
+      console.log(`   Focus blocks (${focus.thresholdMinutes}min+): ${focus.blocks} = ${focus.focusHours.toFixed(2)}h (${focus.focusShare}% of hours) | Median session: ${focus.medianMinutes}min`);
+    }
+
+    if (analysis.billing) {
+      const { billableHours, amount, currency, rounding, unratedSessions } = analysis.billing;
+      console.log('\n💰 Billing:');
+      console.log(`   Billable: ${billableHours.toFixed(2)}h = ${formatAmount(amount, currency)} (rounded ${rounding.mode} to ${rounding.increment}min per ${rounding.per})`);
+      analysis.billing.projects.forEach(entry => {
+        console.log(`   ${entry.project || 'default project'}: ${entry.hours.toFixed(2)}h = ${formatAmount(entry.amount, currency)}`);
+      });
+      if (unratedSessions > 0) {
+        console.log(`   ⚠️  ${unratedSessions} sessions have no matching rate`);
+      }
+    }
+
+    if (authors.length > 1) {
+      console.log('\n👥 Per-Author Breakdown:');
+      authors.forEach(entry => {
+        console.log(`   ${entry.author}: ${entry.hours.toFixed(2)}h (${entry.sessions} sessions, ${entry.commits} commits)`);
+      });
+    }
+
     sessions.forEach((session, index) => {
-      console.log(`\n${index + 1}. ${session.start.toLocaleDateString()} ${session.start.toLocaleTimeString()}`);
+      console.log(`\n${index + 1}. ${formatDateTime(session.start, timeZone)}`);
       console.log(`   Duration: ${session.hours.toFixed(2)}h (${session.duration}min)`);
       console.log(`   Commits: ${session.commitCount}`);
-      console.log(`   Author: ${session.author}`);
+      console.log(`   Changes: ${session.stats.filesChanged} files (+${session.stats.insertions}/-${session.stats.deletions})`);
+      console.log(`   Author: ${session.author}${session.email ? ` <${session.email}>` : ''}`);
+      if (session.project || session.activity) {
+        console.log(`   Booked as: ${session.project || 'default project'} / ${session.activity || 'default activity'}`);
+      }
+      if (session.explicitMinutes > 0) {
+        console.log(`   Logged via Time-Spent: ${session.explicitMinutes}min`);
+      }
+      if ((session.signals || []).length > 0) {
+        console.log(`   Signals: ${this.summarizeSignals(session.signals)}`);
+      }
+      if (session.billing) {
+        const { billableHours, rate, multiplier, amount, currency } = session.billing;
+        console.log(`   Billable: ${billableHours.toFixed(2)}h at ${rate != null ? rate : '?'}${multiplier !== 1 ? ` x${multiplier}` : ''} = ${formatAmount(amount, currency)}`);
+      }
+      if (session.calendar && session.calendar.category !== 'regular') {
+        console.log(`   Calendar: ${session.calendar.category}${session.calendar.category === 'holiday' ? ` (${session.calendar.holiday})` : ''}`);
+      }
+      if (session.split || session.capped) {
+        console.log(`   ✂️  ${this.describeAdjustments(session)}`);
+      }
       console.log(`   Description: ${session.description.substring(0, 80)}${session.description.length > 80 ? '...' : ''}`);
     });
 
     return analysis;
   }
 
+  /**
+   * Describe how a session was split or capped, e.g. "Split at midnight (part 2 of 2)"
+   */
+  describeAdjustments(session) {
+    const notes = [];
+    if (session.split) {
+      const reasons = session.split.reasons.map(reason => reason === 'midnight' ? 'at midnight' : `after ${this.maxSessionHours}h`);
+      notes.push(`Split ${reasons.join(' and ')} (part ${session.split.part} of ${session.split.parts})`);
+      if (session.split.breakBefore > 0) {
+        notes.push(`${session.split.breakBefore}min break inserted before this part`);
+      }
+    }
+    if (session.capped) {
+      notes.push(`Capped at ${this.maxSessionHours}h`);
+    }
+    return notes.join('; ');
+  }
+
+  /**
+   * Load analyzer settings from a JSON config file
+   * File references inside the config are resolved relative to the config file
+   */
+  static loadConfig(file) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    CONFIG_PATH_KEYS.forEach(key => {
+      if (config[key]) {
+        config[key] = path.resolve(path.dirname(file), config[key]);
+      }
+    });
+    return config;
+  }
+
+  /**
+   * Path of a calibration profile given by file path or by name
+   * (names are looked up in ~/.freelancer-worklog/profiles)
+   */
+  static resolveProfile(nameOrFile) {
+    if (fs.existsSync(nameOrFile)) {
+      return nameOrFile;
+    }
+    return resolveWorklogPath('profiles', `${nameOrFile.replace(/\.json$/, '')}.json`);
+  }
+
   /**
    * Export analysis to JSON file
    */
@@ -236,12 +1289,12 @@ if (require.main === module) {
     repository: '.',
     since: null,
     until: null,
-    author: null,
-    maxSessionGap: 2,
-    defaultSessionTime: 30,
+    config: null,
     output: null,
     verbose: false
   };
+  // Analyzer settings given on the command line override the config file
+  const settings = {};
 
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
@@ -253,22 +1306,108 @@ if (require.main === module) {
         options.until = args[++i];
         break;
       case '--author':
-        options.author = args[++i];
+        settings.author = args[++i];
+        break;
+      case '--aliases':
+        settings.aliasFile = args[++i];
+        break;
+      case '--config':
+        options.config = args[++i];
+        break;
+      case '--profile':
+        options.config = GitTimeAnalyzer.resolveProfile(args[++i]);
         break;
       case '--repository':
       case '--repo':
         options.repository = args[++i];
         break;
       case '--gap':
-        options.maxSessionGap = parseFloat(args[++i]);
+        settings.maxSessionGap = parseFloat(args[++i]);
         break;
       case '--session-time':
-        options.defaultSessionTime = parseInt(args[++i]);
+        settings.defaultSessionTime = parseInt(args[++i]);
+        break;
+      case '--date-source':
+        settings.dateSource = args[++i];
+        break;
+      case '--timezone':
+        settings.timezone = args[++i];
+        break;
+      case '--week-start':
+        settings.weekStart = args[++i];
+        break;
+      case '--billing':
+        settings.billingFile = args[++i];
+        break;
+      case '--client':
+        settings.client = args[++i];
+        break;
+      case '--project':
+        settings.project = args[++i];
+        break;
+      case '--calendar':
+        settings.calendarFile = args[++i];
         break;
+      case '--split-at-midnight':
+        settings.splitAtMidnight = true;
+        break;
+      case '--max-session-hours':
+        settings.maxSessionHours = parseFloat(args[++i]);
+        break;
+      case '--break-minutes':
+        settings.breakMinutes = parseInt(args[++i]);
+        break;
+      case '--focus-minutes':
+        settings.focusMinutes = parseInt(args[++i]);
+        break;
+      case '--rewrite-threshold':
+        settings.rewriteThreshold = parseFloat(args[++i]);
+        break;
+      case '--min-session-time':
+        settings.minSessionTime = parseInt(args[++i]);
+        break;
+      case '--model':
+        settings.model = args[++i];
+        break;
+      case '--filters':
+        settings.filtersFile = args[++i];
+        break;
+      case '--no-merges':
+        settings.filterPresets = [...(settings.filterPresets || []), 'merges'];
+        break;
+      case '--exclude-bots':
+        settings.filterPresets = [...(settings.filterPresets || []), 'bots'];
+        break;
+      case '--exclude-lockfiles':
+        settings.filterPresets = [...(settings.filterPresets || []), 'lockfiles'];
+        break;
+      case '--exclude-author':
+        settings.filterRules = [...(settings.filterRules || []), { name: '--exclude-author', authors: [args[++i]] }];
+        break;
+      case '--exclude-message':
+        settings.filterRules = [...(settings.filterRules || []), { name: '--exclude-message', messages: [args[++i]] }];
+        break;
+      case '--exclude-paths':
+        settings.filterRules = [...(settings.filterRules || []), { name: '--exclude-paths', onlyPaths: args[++i].split(',') }];
+        break;
+      case '--signals':
+        settings.signals = args[++i].split(',');
+        break;
+      case '--model-param': {
+        const [key, value] = args[++i].split('=');
+        settings.modelParams = { ...settings.modelParams, [key]: isNaN(value) ? value : parseFloat(value) };
+        break;
+      }
       case '--output':
       case '-o':
         options.output = args[++i];
         break;
+      case '--no-cache':
+        settings.cache = false;
+        break;
+      case '--rebuild-cache':
+        settings.rebuildCache = true;
+        break;
       case '--verbose':
       case '-v':
         options.verbose = true;
@@ -283,11 +1422,39 @@ Usage: node git-analyzer.js [options]
 Options:
   --since <date>        Analyze commits since this date (e.g., "2025-01-01")
   --until <date>        Analyze commits until this date
-  --author <name>       Filter commits by author name or email
+  --author <name>       Filter commits by author name or email (any known alias matches)
+  --aliases <file>      Identity alias file (default: ~/.freelancer-worklog/aliases.json)
+  --config <file>       JSON file with analyzer settings (command line options take precedence)
+  --profile <name>      Calibrated profile from calibrate.js (name or file)
   --repository <path>   Path to Git repository (default: current directory)
   --gap <hours>         Max hours between commits in same session (default: 2)
   --session-time <min>  Default minutes for single commits (default: 30)
+  --min-session-time <min>  Minimum minutes for an estimated session (default: 15)
+  --billing <file>      Rates, multipliers and rounding for billable amounts (JSON, see billing.js)
+  --client <name>       Client the rates are looked up for (overrides the billing file)
+  --project <name>      Project of sessions without a Worklog-Project trailer (for rates)
+  --calendar <file>     Working hours, holidays and days off (JSON, see work-calendar.js)
+  --split-at-midnight   Split sessions that run past local midnight (see --timezone)
+  --max-session-hours <h>  Split sessions longer than this and cap their duration
+  --break-minutes <min> Break inserted at each --max-session-hours split (default: 30)
+  --focus-minutes <min> Shortest session counted as a focus block (default: 90)
+  --date-source <src>   Commit timestamp: author, committer or smart (default: author)
+  --rewrite-threshold <hours>  Flag commits whose author and committer dates differ more (default: 24)
+  --timezone <zone>     IANA time zone for days, weeks and printed times (default: system zone)
+  --week-start <day>    First day of the week for weekly totals (default: sunday)
+  --model <name>        Estimation model: gap, lead-in, churn, capped (default: gap)
+  --model-param <k=v>   Estimation model parameter, repeatable (e.g. leadInMinutes=20)
+  --filters <file>      Commit filter rules (JSON, see commit-filters.js)
+  --no-merges           Drop merge commits
+  --exclude-bots        Drop commits by dependabot, renovate and other bots
+  --exclude-lockfiles   Drop commits that only change lockfiles
+  --exclude-author <re> Drop commits whose author name or email matches
+  --exclude-message <re>  Drop commits whose message matches
+  --exclude-paths <globs> Drop commits that only touch these paths (comma-separated globs)
+  --signals <sources>   Also use reflog and/or worktree activity as time evidence (e.g. reflog,worktree)
   --output <file>       Output file for JSON results
+  --no-cache            Re-read the full history without using the analysis cache
+  --rebuild-cache       Discard the cached analysis for this repository and rebuild it
   --verbose             Show detailed output
   --help               Show this help message
 
@@ -295,6 +1462,7 @@ Examples:
   node git-analyzer.js --since "2025-11-01"
   node git-analyzer.js --author "john@example.com" --since "last week"
   node git-analyzer.js --repository "/path/to/project" --output "results.json"
+  node git-analyzer.js --model capped --model-param maxSessionMinutes=180
         `);
         process.exit(0);
       default:
@@ -304,23 +1472,22 @@ Examples:
     }
   }
 
-  try {
-    const analyzer = new GitTimeAnalyzer({
-      maxSessionGap: options.maxSessionGap,
-      defaultSessionTime: options.defaultSessionTime,
-      author: options.author
-    });
+  (async () => {
+    try {
+      const config = options.config ? GitTimeAnalyzer.loadConfig(options.config) : {};
+      const analyzer = new GitTimeAnalyzer({ ...config, ...settings });
 
-    const analysis = analyzer.analyze(options.repository, options.since, options.until);
-    analyzer.generateReport(analysis);
+      const analysis = await analyzer.analyze(options.repository, options.since, options.until);
+      analyzer.generateReport(analysis);
 
-    if (options.output) {
-      analyzer.exportToFile(analysis, options.output);
+      if (options.output) {
+        analyzer.exportToFile(analysis, options.output);
+      }
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
     }
-  } catch (error) {
-    console.error('❌ Error:', error.message);
-    process.exit(1);
-  }
+  })();
 }
 
-module.exports = GitTimeAnalyzer;
\ No newline at end of file
+module.exports = GitTimeAnalyzer;
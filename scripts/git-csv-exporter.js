@@ -8,6 +8,14 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const { resolveTimeZone, formatDate, formatDateTime } = require('./time-zone');
+const { formatAmount } = require('./billing');
+
+// Analyses written before diff statistics were recorded have no `stats`
+const statsOf = item => ({ filesChanged: 0, insertions: 0, deletions: 0, binaryFiles: 0, ...item.stats });
+
+// Quoted CSV field, with embedded quotes doubled
+const csvField = value => `"${String(value).replace(/"/g, '""')}"`;
 
 class GitToCSVExporter {
     constructor() {
@@ -18,9 +26,20 @@ class GitToCSVExporter {
             'Duration (hours)',
             'Description',
             'Project',
+            'Activity',
             'Author',
             'Commits',
-            'Files Changed'
+            'Files Changed',
+            'Lines Added',
+            'Lines Removed'
+        ];
+        // Appended when the analysis was run with a billing policy
+        this.billingHeaders = [
+            'Billable Hours',
+            'Rate',
+            'Multiplier',
+            'Amount',
+            'Currency'
         ];
     }
 
@@ -40,6 +59,16 @@ class GitToCSVExporter {
             if (options.since) gitCommand += ` --since "${options.since}"`;
             if (options.until) gitCommand += ` --until "${options.until}"`;
             if (options.author) gitCommand += ` --author "${options.author}"`;
+            if (options.aliases) gitCommand += ` --aliases "${options.aliases}"`;
+            if (options.config) gitCommand += ` --config "${options.config}"`;
+            if (options.model) gitCommand += ` --model "${options.model}"`;
+            if (options.profile) gitCommand += ` --profile "${options.profile}"`;
+            if (options.signals) gitCommand += ` --signals "${options.signals}"`;
+            if (options.calendar) gitCommand += ` --calendar "${options.calendar}"`;
+            if (options.billing) gitCommand += ` --billing "${options.billing}"`;
+            if (options.client) gitCommand += ` --client "${options.client}"`;
+            if (options.projectName) gitCommand += ` --project "${options.projectName}"`;
+            if (options.timezone) gitCommand += ` --timezone "${options.timezone}"`;
             if (options.verbose) gitCommand += ` --verbose`;
 
             execSync(gitCommand, { stdio: 'inherit' });
@@ -70,12 +99,16 @@ class GitToCSVExporter {
 
     /**
      * Convert Git analysis data to CSV format
+     * Dates are ISO 8601 days and times are ISO 8601 timestamps with the offset of
+     * the report time zone (--timezone, then the analyzer config, then the system zone)
      */
     convertToCSV(analysisData, options = {}) {
         const rows = [];
+        const timeZone = resolveTimeZone(options.timezone || analysisData.timezone);
+        const billed = analysisData.billing != null;
         
         // Add headers
-        rows.push(this.csvHeaders.join(','));
+        rows.push(this.csvHeaders.concat(billed ? this.billingHeaders : []).join(','));
         
         // Add data rows
         for (const session of analysisData.sessions) {
@@ -83,21 +116,35 @@ class GitToCSVExporter {
             const durationHours = session.duration / 60; // Convert minutes to hours
             const endDate = new Date(startDate.getTime() + session.duration * 60 * 1000); // duration is in minutes
             
-            // Determine project name
-            const projectName = options.projectName || path.basename(analysisData.repository) || 'Development';
+            // Determine project name: Worklog-Project trailer, then --project, then the repository name
+            const projectName = session.project || options.projectName || path.basename(analysisData.repository) || 'Development';
             
             const row = [
-                startDate.toLocaleDateString(), // Date
-                startDate.toLocaleTimeString(), // Start Time
-                endDate.toLocaleTimeString(),   // End Time
+                formatDate(startDate, timeZone),     // Date
+                formatDateTime(startDate, timeZone), // Start Time
+                formatDateTime(endDate, timeZone),   // End Time
                 durationHours.toFixed(2),       // Duration (hours)
-                `"${session.description.replace(/"/g, '""')}"`, // Description (escaped)
-                `"${projectName}"`,             // Project
-                `"${session.author}"`,          // Author
+                csvField(session.description),  // Description
+                csvField(projectName),          // Project
+                csvField(session.activity || ''), // Activity (Worklog-Activity trailer)
+                csvField(session.author),       // Author
                 session.commitCount || session.commits.length, // Commits
-                session.commitCount || session.commits.length  // Files Changed (approximation)
+                statsOf(session).filesChanged,     // Files Changed
+                statsOf(session).insertions,       // Lines Added
+                statsOf(session).deletions         // Lines Removed
             ];
             
+            if (billed) {
+                const billing = session.billing;
+                row.push(
+                    billing.billableHours.toFixed(2),          // Billable Hours (after rounding)
+                    billing.rate != null ? billing.rate : '',  // Rate
+                    billing.multiplier,                        // Multiplier (evening/weekend/holiday)
+                    billing.amount.toFixed(2),                 // Amount (including overtime)
+                    billing.currency                           // Currency
+                );
+            }
+            
             rows.push(row.join(','));
         }
         
@@ -107,32 +154,48 @@ class GitToCSVExporter {
     /**
      * Generate summary report
      */
-    generateSummary(analysisData, outputDir) {
+    generateSummary(analysisData, outputDir, options = {}) {
         const summaryFile = path.join(outputDir, 'time-summary.txt');
+        const timeZone = resolveTimeZone(options.timezone || analysisData.timezone);
         
         let summary = `GIT TIME ANALYSIS SUMMARY\n`;
         summary += `========================\n\n`;
         summary += `Repository: ${analysisData.repository}\n`;
-        summary += `Analysis Date: ${new Date().toLocaleString()}\n`;
+        summary += `Analysis Date: ${formatDateTime(new Date(), timeZone)}\n`;
+        summary += `Time Zone: ${timeZone}\n`;
         summary += `Total Commits: ${analysisData.totalCommits}\n`;
         summary += `Total Sessions: ${analysisData.totalSessions}\n`;
-        summary += `Total Hours: ${analysisData.totalHours}h\n\n`;
+        summary += `Total Hours: ${analysisData.totalHours}h\n`;
+        if (analysisData.billing) {
+            summary += `Billable: ${analysisData.billing.billableHours}h = ${formatAmount(analysisData.billing.amount, analysisData.billing.currency)}\n`;
+        }
+        summary += `Files Changed: ${statsOf(analysisData).filesChanged} (+${statsOf(analysisData).insertions}/-${statsOf(analysisData).deletions})\n\n`;
+        
+        if ((analysisData.authors || []).length > 1) {
+            summary += `AUTHOR BREAKDOWN:\n`;
+            summary += `=================\n`;
+            analysisData.authors.forEach(entry => {
+                summary += `${entry.author}: ${entry.hours.toFixed(2)}h (${entry.sessions} sessions, ${entry.commits} commits)\n`;
+            });
+            summary += `\n`;
+        }
         
         summary += `SESSION BREAKDOWN:\n`;
         summary += `==================\n`;
         
         analysisData.sessions.forEach((session, index) => {
             const durationHours = session.duration / 60; // Convert minutes to hours
-            summary += `${index + 1}. ${new Date(session.start).toLocaleDateString()} - ${durationHours.toFixed(2)}h\n`;
+            summary += `${index + 1}. ${formatDateTime(session.start, timeZone)} - ${durationHours.toFixed(2)}h\n`;
             summary += `   Author: ${session.author}\n`;
             summary += `   Commits: ${session.commitCount || session.commits.length}\n`;
+            summary += `   Changes: ${statsOf(session).filesChanged} files (+${statsOf(session).insertions}/-${statsOf(session).deletions})\n`;
             summary += `   Description: ${session.description}\n\n`;
         });
         
         // Add daily breakdown
         const dailyTotals = {};
         analysisData.sessions.forEach(session => {
-            const date = new Date(session.start).toLocaleDateString();
+            const date = formatDate(session.start, timeZone);
             const durationHours = session.duration / 60; // Convert minutes to hours
             dailyTotals[date] = (dailyTotals[date] || 0) + durationHours;
         });
@@ -140,7 +203,7 @@ class GitToCSVExporter {
         summary += `DAILY TOTALS:\n`;
         summary += `=============\n`;
         Object.entries(dailyTotals)
-            .sort(([a], [b]) => new Date(a) - new Date(b))
+            .sort(([a], [b]) => a.localeCompare(b))
             .forEach(([date, hours]) => {
                 summary += `${date}: ${hours.toFixed(2)}h\n`;
             });
@@ -170,6 +233,15 @@ Options:
   --since <date>        Only include commits since date (e.g., "2025-11-01")
   --until <date>        Only include commits until date
   --author <name>       Filter commits by author name or email
+  --aliases <file>      Identity alias file merging names/emails of the same developer
+  --config <file>       Analyzer settings file (see git-analyzer.js --help)
+  --model <name>        Estimation model: gap, lead-in, churn, capped
+  --profile <name>      Calibrated analyzer profile (see calibrate.js)
+  --signals <sources>   Use reflog/worktree activity as extra time evidence (e.g. reflog,worktree)
+  --timezone <zone>     IANA time zone for dates and times (e.g. Europe/Berlin)
+  --calendar <file>     Working hours and holidays (for evening/weekend/overtime multipliers)
+  --billing <file>      Billing policy (rates, rounding); adds billable hours and amounts
+  --client <name>       Client to look up rates for
   --project <name>      Set project name for all entries
   --summary             Also generate a text summary report
   --verbose             Show detailed output during analysis
@@ -206,6 +278,42 @@ Examples:
                     options.author = value;
                     i++;
                     break;
+                case 'aliases':
+                    options.aliases = value;
+                    i++;
+                    break;
+                case 'config':
+                    options.config = value;
+                    i++;
+                    break;
+                case 'model':
+                    options.model = value;
+                    i++;
+                    break;
+                case 'profile':
+                    options.profile = value;
+                    i++;
+                    break;
+                case 'signals':
+                    options.signals = value;
+                    i++;
+                    break;
+                case 'calendar':
+                    options.calendar = value;
+                    i++;
+                    break;
+                case 'billing':
+                    options.billing = value;
+                    i++;
+                    break;
+                case 'client':
+                    options.client = value;
+                    i++;
+                    break;
+                case 'timezone':
+                    options.timezone = value;
+                    i++;
+                    break;
                 case 'project':
                     options.projectName = value;
                     i++;
@@ -232,7 +340,7 @@ Examples:
                 const tempFile = path.join(__dirname, 'temp-analysis.json');
                 if (fs.existsSync(tempFile)) {
                     const analysisData = JSON.parse(fs.readFileSync(tempFile, 'utf8'));
-                    exporter.generateSummary(analysisData, path.dirname(outputPath));
+                    exporter.generateSummary(analysisData, path.dirname(outputPath), options);
                     fs.unlinkSync(tempFile);
                 }
             }
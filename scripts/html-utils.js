@@ -0,0 +1,35 @@
+/**
+ * HTML Utilities
+ * Escaping for the standalone HTML reports (dashboard, invoices), which show
+ * commit messages, author names and other text taken from the repository
+ */
+
+/**
+ * Escape text for HTML element content and quoted attribute values
+ */
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Serialize data for a <script type="application/json"> block
+ * Escapes characters that could close the script element or open a comment
+ */
+function embedJson(data) {
+  return JSON.stringify(data)
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+module.exports = {
+  escapeHtml,
+  embedJson
+};
@@ -0,0 +1,115 @@
+/**
+ * Identity Resolver
+ * Maps the names and emails a developer commits under to one canonical identity.
+ * Git applies the repository's .mailmap (%aN/%aE); an alias file adds
+ * personal mappings on top, e.g.:
+ *
+ *   {
+ *     "identities": [
+ *       { "name": "Jane Doe", "email": "jane@example.com", "aliases": ["jane@laptop.local", "jdoe"] }
+ *     ]
+ *   }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+class IdentityResolver {
+  constructor(options = {}) {
+    this.identities = (options.identities || []).map(identity => ({
+      name: identity.name,
+      email: identity.email || null,
+      aliases: [identity.name, identity.email, ...(identity.aliases || [])]
+        .filter(Boolean)
+        .map(alias => alias.toLowerCase())
+    }));
+  }
+
+  /**
+   * Load identities from an alias file; a missing optional file yields an empty resolver
+   */
+  static fromFile(file, { optional = false } = {}) {
+    if (!file || (optional && !fs.existsSync(file))) {
+      return new IdentityResolver();
+    }
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return new IdentityResolver({ identities: config.identities || [] });
+  }
+
+  /**
+   * Find the configured identity matching a name or email
+   */
+  findIdentity(name, email) {
+    const keys = [name, email].filter(Boolean).map(key => key.toLowerCase());
+    return this.identities.find(identity => keys.some(key => identity.aliases.includes(key))) || null;
+  }
+
+  /**
+   * Canonical { name, email } for a (mailmapped) name and email
+   */
+  resolve(name, email) {
+    const identity = this.findIdentity(name, email);
+    if (!identity) {
+      return { name, email };
+    }
+    return { name: identity.name, email: identity.email || email };
+  }
+
+  /**
+   * Apply canonical author and committer identities to a parsed commit,
+   * keeping the identities as recorded in the commit
+   */
+  applyTo(commit) {
+    const author = this.resolve(commit.author, commit.email);
+    const committer = this.resolve(commit.committer, commit.committerEmail);
+
+    commit.author = author.name;
+    commit.email = author.email;
+    commit.committer = committer.name;
+    commit.committerEmail = committer.email;
+    return commit;
+  }
+
+  /**
+   * Match an --author filter against the canonical identity and all of its
+   * known aliases, case-insensitively (like `git log --author`)
+   */
+  matchesAuthor(commit, pattern) {
+    if (!pattern) {
+      return true;
+    }
+
+    let regex;
+    try {
+      regex = new RegExp(pattern, 'i');
+    } catch (error) {
+      regex = new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+
+    const identity = this.findIdentity(commit.author, commit.email);
+    const candidates = [
+      commit.author,
+      commit.email,
+      `${commit.author} <${commit.email}>`,
+      commit.originalAuthor,
+      commit.originalEmail,
+      ...(identity ? identity.aliases : [])
+    ].filter(Boolean);
+
+    return candidates.some(candidate => regex.test(candidate));
+  }
+
+  /**
+   * Hash of everything that influences resolution, for cache keys
+   */
+  fingerprint(repository = '.') {
+    const mailmap = path.join(repository, '.mailmap');
+    return crypto.createHash('sha1')
+      .update(JSON.stringify(this.identities))
+      .update(fs.existsSync(mailmap) ? fs.readFileSync(mailmap) : '')
+      .digest('hex');
+  }
+}
+
+module.exports = IdentityResolver;
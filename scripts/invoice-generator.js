@@ -0,0 +1,580 @@
+#!/usr/bin/env node
+
+/**
+ * Invoice Generator
+ * Builds printable HTML invoices from analysis JSON files (git-analyzer.js --output)
+ * and keeps a local ledger of issued invoices so no session is billed twice
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { resolveWorklogPath } = require('./worklog-home');
+const { resolveTimeZone, parseWeekStart, formatDate, startOfWeek } = require('./time-zone');
+const { formatAmount } = require('./billing');
+const PdfWriter = require('./pdf-writer');
+const { escapeHtml } = require('./html-utils');
+
+const GROUPINGS = ['day', 'week', 'task'];
+
+// Ticket references such as "ABC-123" or "#42" identify a task in commit messages
+const TASK_PATTERN = /\b([A-Z][A-Z0-9]+-\d+)\b|(#\d+)\b/;
+
+class InvoiceGenerator {
+    constructor(options = {}) {
+        this.ledgerFile = options.ledgerFile || resolveWorklogPath('invoices', 'ledger.json');
+        this.outputDir = options.outputDir || path.join(__dirname, '..', 'reports');
+    }
+
+    /**
+     * Load a client profile given by file path or by name
+     * (names are looked up in ~/.freelancer-worklog/clients)
+     *
+     *   {
+     *     "name": "Acme Corp",
+     *     "address": ["1 Main Street", "12345 Springfield"],
+     *     "currency": "EUR",
+     *     "rate": 90,
+     *     "taxRate": 19,
+     *     "taxLabel": "VAT",
+     *     "paymentTermsDays": 14,
+     *     "invoiceNumber": { "prefix": "ACME-{year}-", "digits": 4, "start": 1 },
+     *     "groupBy": "week",
+     *     "issuer": { "name": "Jane Doe", "address": ["..."], "taxId": "DE123", "bankDetails": "IBAN ..." }
+     *   }
+     */
+    loadClientProfile(nameOrFile) {
+        const file = fs.existsSync(nameOrFile)
+            ? nameOrFile
+            : resolveWorklogPath('clients', `${nameOrFile.replace(/\.json$/, '')}.json`);
+        if (!fs.existsSync(file)) {
+            throw new Error(`Client profile not found: ${nameOrFile} (looked in ${path.dirname(file)})`);
+        }
+
+        const profile = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!profile.name) {
+            throw new Error(`Client profile ${file} needs a "name"`);
+        }
+        return {
+            currency: 'USD',
+            taxRate: 0,
+            taxLabel: 'Tax',
+            paymentTermsDays: 30,
+            groupBy: 'day',
+            address: [],
+            issuer: {},
+            ...profile,
+            invoiceNumber: { prefix: 'INV-{year}-', digits: 4, start: 1, ...(profile.invoiceNumber || {}) }
+        };
+    }
+
+    /**
+     * Read the ledger of issued invoices
+     */
+    loadLedger() {
+        if (!fs.existsSync(this.ledgerFile)) {
+            return { invoices: [], sequences: {} };
+        }
+        return JSON.parse(fs.readFileSync(this.ledgerFile, 'utf8'));
+    }
+
+    /**
+     * Write the ledger through a temporary file so a crash cannot truncate it
+     */
+    saveLedger(ledger) {
+        fs.mkdirSync(path.dirname(this.ledgerFile), { recursive: true });
+        const tempFile = `${this.ledgerFile}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(ledger, null, 2));
+        fs.renameSync(tempFile, this.ledgerFile);
+    }
+
+    /**
+     * Stable identity of a session: author, start and commits
+     */
+    sessionKey(session) {
+        const hashes = (session.commits || []).map(commit => commit.hash).filter(Boolean).sort();
+        return crypto.createHash('sha1')
+            .update(`${session.author}|${new Date(session.start).toISOString()}|${hashes.join(',')}`)
+            .digest('hex');
+    }
+
+    /**
+     * Commits and session keys already billed, mapped to the invoice number and the billed session entry
+     */
+    collectBilled(ledger) {
+        const billed = new Map();
+        ledger.invoices.forEach(invoice => {
+            invoice.sessions.forEach(session => {
+                const entry = { invoice: invoice.number, session };
+                billed.set(session.key, entry);
+                session.commits.forEach(hash => billed.set(hash, entry));
+            });
+        });
+        return billed;
+    }
+
+    /**
+     * Sessions from all analysis files, without duplicates and without sessions that were already invoiced
+     * A session that gained commits since it was invoiced is billed for the remainder: its new
+     * commits, and its price less what the earlier invoices billed for it
+     */
+    collectSessions(analysisFiles, ledger) {
+        const billed = this.collectBilled(ledger);
+        const seen = new Set();
+        const sessions = [];
+        const skipped = [];
+        let timezone = null;
+
+        analysisFiles.forEach(file => {
+            const analysis = JSON.parse(fs.readFileSync(file, 'utf8'));
+            timezone = timezone || analysis.timezone;
+
+            (analysis.sessions || []).forEach(session => {
+                const key = this.sessionKey(session);
+                if (seen.has(key)) {
+                    return;
+                }
+                seen.add(key);
+
+                const hashes = (session.commits || []).map(commit => commit.hash).filter(Boolean);
+                const earlier = billed.has(key)
+                    ? [billed.get(key)]
+                    : [...new Set(hashes.map(hash => billed.get(hash)).filter(Boolean))];
+                const unbilled = (session.commits || []).filter(commit => !billed.has(commit.hash));
+
+                if (earlier.length === 0) {
+                    sessions.push({ ...session, key, repository: analysis.repository });
+                } else if (billed.has(key) || unbilled.length === 0) {
+                    skipped.push({ session, invoice: earlier[0].invoice });
+                } else {
+                    sessions.push(this.remainderOf({ ...session, key, repository: analysis.repository }, unbilled, earlier));
+                }
+            });
+        });
+
+        sessions.sort((a, b) => new Date(a.start) - new Date(b.start));
+        return { sessions, skipped, timezone };
+    }
+
+    /**
+     * The part of a session not yet billed: its new commits, with the earlier billed hours and amount to deduct
+     */
+    remainderOf(session, unbilled, earlier) {
+        const invoices = [...new Set(earlier.map(entry => entry.invoice))];
+        if (earlier.some(entry => entry.session.hours == null || entry.session.amount == null)) {
+            // Ledgers written before remainders were billed do not record what each session was billed for
+            throw new Error(`Session ${new Date(session.start).toISOString()} (${session.author}) gained ${unbilled.length} commits since it was billed on ${invoices.join(', ')}, ` +
+                'but the ledger does not record the billed hours; invoice the new work by hand or remove the session from the ledger');
+        }
+
+        return {
+            ...session,
+            commits: unbilled,
+            description: `${session.description} (continued from ${invoices.join(', ')})`,
+            alreadyBilled: {
+                invoices,
+                hours: earlier.reduce((total, entry) => total + entry.session.hours, 0),
+                amount: earlier.reduce((total, entry) => total + entry.session.amount, 0)
+            }
+        };
+    }
+
+    /**
+     * Task a session belongs to: a ticket reference, the Worklog-Activity, or the project
+     */
+    taskOf(session) {
+        const messages = (session.commits || []).map(commit => commit.subject || commit.message || '').concat(session.description || '');
+        const reference = messages.map(message => message.match(TASK_PATTERN)).find(Boolean);
+        if (reference) {
+            return reference[1] || reference[2];
+        }
+        return session.activity || session.project || path.basename(session.repository || '') || 'Development';
+    }
+
+    /**
+     * Hours and amount a session is billed with
+     * Uses the billing computed by the analyzer (--billing) or the profile's hourly rate
+     */
+    priceSession(session, profile) {
+        let price;
+        if (session.billing) {
+            if (session.billing.currency !== profile.currency) {
+                throw new Error(`Session billed in ${session.billing.currency} but ${profile.name} is invoiced in ${profile.currency}`);
+            }
+            price = { hours: session.billing.billableMinutes / 60, amount: session.billing.amount };
+        } else {
+            if (profile.rate == null) {
+                throw new Error(`No billing in the analysis and no "rate" in the client profile for ${profile.name}`);
+            }
+            const hours = session.duration / 60;
+            price = { hours, amount: Math.round(hours * profile.rate * 100) / 100 };
+        }
+
+        // The remainder of a session invoiced before: only what was not billed yet
+        if (session.alreadyBilled) {
+            price = {
+                hours: Math.max(price.hours - session.alreadyBilled.hours, 0),
+                amount: Math.max(Math.round((price.amount - session.alreadyBilled.amount) * 100) / 100, 0)
+            };
+        }
+        return price;
+    }
+
+    /**
+     * Group sessions into invoice lines by day, week or task
+     */
+    buildLineItems(sessions, profile, groupBy, timeZone, weekStart) {
+        if (!GROUPINGS.includes(groupBy)) {
+            throw new Error(`Unknown grouping "${groupBy}". Use ${GROUPINGS.join(', ')}`);
+        }
+
+        const groups = new Map();
+        sessions.forEach(session => {
+            let key;
+            let label;
+            if (groupBy === 'day') {
+                key = label = formatDate(session.start, timeZone);
+            } else if (groupBy === 'week') {
+                key = startOfWeek(session.start, timeZone, weekStart);
+                label = `Week of ${key}`;
+            } else {
+                key = label = this.taskOf(session);
+            }
+
+            const item = groups.get(key) || { key, label, hours: 0, amount: 0, sessions: 0, details: [] };
+            const price = this.priceSession(session, profile);
+            item.hours += price.hours;
+            item.amount += price.amount;
+            item.sessions++;
+            if (session.description && !item.details.includes(session.description)) {
+                item.details.push(session.description);
+            }
+            groups.set(key, item);
+        });
+
+        return [...groups.values()]
+            .sort((a, b) => groupBy === 'task' ? b.amount - a.amount : a.key.localeCompare(b.key))
+            .map(item => ({
+                ...item,
+                hours: Math.round(item.hours * 100) / 100,
+                amount: Math.round(item.amount * 100) / 100,
+                rate: item.hours > 0 ? Math.round((item.amount / item.hours) * 100) / 100 : 0
+            }));
+    }
+
+    /**
+     * Next invoice number in the client's sequence, e.g. ACME-2025-0007
+     */
+    nextInvoiceNumber(ledger, profile, issueDate) {
+        const format = profile.invoiceNumber;
+        const prefix = format.prefix.replace('{year}', issueDate.slice(0, 4)).replace('{month}', issueDate.slice(5, 7));
+        const sequence = Math.max((ledger.sequences[prefix] || 0) + 1, format.start);
+        return { number: `${prefix}${String(sequence).padStart(format.digits, '0')}`, prefix, sequence };
+    }
+
+    /**
+     * Create an invoice; unless `preview` is set, record it in the ledger
+     */
+    createInvoice(analysisFiles, clientProfile, options = {}) {
+        const profile = this.loadClientProfile(clientProfile);
+        const ledger = this.loadLedger();
+        const { sessions, skipped, timezone } = this.collectSessions(analysisFiles, ledger);
+        const timeZone = resolveTimeZone(options.timezone || profile.timezone || timezone);
+
+        skipped.forEach(({ session, invoice }) => {
+            console.log(`⏭️  Skipping session ${new Date(session.start).toISOString()} (${session.author}): already billed on ${invoice}`);
+        });
+        if (sessions.length === 0) {
+            throw new Error('Nothing to invoice: every session has already been billed');
+        }
+
+        const issueDate = options.date || formatDate(new Date(), timeZone);
+        const dueDate = new Date(`${issueDate}T00:00:00Z`);
+        dueDate.setUTCDate(dueDate.getUTCDate() + profile.paymentTermsDays);
+        const { number, prefix, sequence } = this.nextInvoiceNumber(ledger, profile, issueDate);
+
+        const groupBy = options.groupBy || profile.groupBy;
+        const items = this.buildLineItems(sessions, profile, groupBy, timeZone, parseWeekStart(profile.weekStart || 'monday'));
+        const subtotal = Math.round(items.reduce((total, item) => total + item.amount, 0) * 100) / 100;
+        const tax = Math.round(subtotal * profile.taxRate) / 100;
+
+        const invoice = {
+            number,
+            client: profile.name,
+            issueDate,
+            dueDate: dueDate.toISOString().slice(0, 10),
+            currency: profile.currency,
+            groupBy,
+            period: { from: formatDate(sessions[0].start, timeZone), to: formatDate(sessions[sessions.length - 1].start, timeZone) },
+            items,
+            hours: Math.round(items.reduce((total, item) => total + item.hours, 0) * 100) / 100,
+            subtotal,
+            taxRate: profile.taxRate,
+            tax,
+            total: Math.round((subtotal + tax) * 100) / 100
+        };
+
+        const outputFile = options.output || path.join(this.outputDir, `invoice_${number.replace(/[^\w.-]+/g, '_')}.html`);
+        fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+        fs.writeFileSync(outputFile, this.renderHTML(invoice, profile));
+        const pdfFile = options.pdf ? outputFile.replace(/\.html?$/i, '') + '.pdf' : null;
+        if (pdfFile) {
+            this.renderPDF(invoice, profile).save(pdfFile);
+        }
+
+        if (!options.preview) {
+            ledger.sequences[prefix] = sequence;
+            ledger.invoices.push({
+                number,
+                client: profile.name,
+                issuedAt: new Date().toISOString(),
+                issueDate,
+                file: path.resolve(outputFile),
+                currency: invoice.currency,
+                subtotal: invoice.subtotal,
+                tax: invoice.tax,
+                total: invoice.total,
+                sessions: sessions.map(session => {
+                    const price = this.priceSession(session, profile);
+                    return {
+                        key: session.key,
+                        start: session.start,
+                        author: session.author,
+                        commits: (session.commits || []).map(commit => commit.hash).filter(Boolean),
+                        hours: Math.round(price.hours * 10000) / 10000,
+                        amount: price.amount
+                    };
+                })
+            });
+            this.saveLedger(ledger);
+        }
+
+        console.log(`🧾 Invoice ${number}${options.preview ? ' (preview, not recorded)' : ''}: ${sessions.length} sessions, ${invoice.hours.toFixed(2)}h, ${formatAmount(invoice.total, invoice.currency)}`);
+        console.log(`   📄 Saved to: ${outputFile}`);
+        if (pdfFile) {
+            console.log(`   📑 PDF saved to: ${pdfFile}`);
+        }
+        return { invoice, file: outputFile, pdf: pdfFile };
+    }
+
+    /**
+     * Printable PDF version of the invoice
+     */
+    renderPDF(invoice, profile) {
+        const issuer = profile.issuer || {};
+        const lines = value => (Array.isArray(value) ? value : [value]).filter(Boolean);
+        const pdf = new PdfWriter({ title: `Invoice ${invoice.number}`, author: issuer.name });
+
+        pdf.heading('Invoice', 1);
+        pdf.keyValues([
+            ['Number', invoice.number],
+            ['Date', invoice.issueDate],
+            ['Due', invoice.dueDate],
+            ['Period', `${invoice.period.from} to ${invoice.period.to}`]
+        ]);
+
+        pdf.heading('From', 3);
+        lines([issuer.name, ...lines(issuer.address), issuer.email, issuer.taxId && `Tax ID: ${issuer.taxId}`]).forEach(line => pdf.paragraph(line));
+        pdf.moveDown(6);
+        pdf.heading('Bill to', 3);
+        [profile.name, ...lines(profile.address)].forEach(line => pdf.paragraph(line));
+        pdf.moveDown(10);
+
+        pdf.table(
+            [{ header: 'Description', width: 5 }, { header: 'Hours', align: 'right' }, { header: 'Rate', width: 1.6, align: 'right' }, { header: 'Amount', width: 1.8, align: 'right' }],
+            invoice.items.map(item => [item.label, item.hours.toFixed(2), formatAmount(item.rate, invoice.currency), formatAmount(item.amount, invoice.currency)]),
+            { size: 10 }
+        );
+        pdf.keyValues([
+            ['Subtotal', formatAmount(invoice.subtotal, invoice.currency)],
+            [`${profile.taxLabel} (${invoice.taxRate}%)`, formatAmount(invoice.tax, invoice.currency)],
+            ['Total', formatAmount(invoice.total, invoice.currency)]
+        ], { labelWidth: 330 });
+
+        pdf.moveDown(10);
+        pdf.paragraph(profile.paymentTerms || `Payable within ${profile.paymentTermsDays} days (by ${invoice.dueDate}).`);
+        lines(issuer.bankDetails).forEach(line => pdf.paragraph(line));
+        return pdf;
+    }
+
+    /**
+     * Standalone, printable HTML invoice
+     */
+    renderHTML(invoice, profile) {
+        const e = escapeHtml;
+        const money = amount => e(formatAmount(amount, invoice.currency));
+        const lines = value => (Array.isArray(value) ? value : [value]).filter(Boolean).map(e).join('<br>');
+        const issuer = profile.issuer || {};
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Invoice ${e(invoice.number)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; color: #222; margin: 40px; }
+        .invoice { max-width: 800px; margin: 0 auto; }
+        .parties { display: flex; justify-content: space-between; margin-bottom: 30px; }
+        h1 { margin-bottom: 5px; }
+        table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+        th, td { padding: 8px; border-bottom: 1px solid #ddd; text-align: left; vertical-align: top; }
+        td.number, th.number { text-align: right; white-space: nowrap; }
+        .details { color: #666; font-size: 0.85em; }
+        .totals td { border: none; }
+        .totals tr:last-child td { font-weight: bold; border-top: 2px solid #222; }
+        .footer { margin-top: 40px; font-size: 0.9em; color: #444; }
+        @media print { body { margin: 0; } }
+    </style>
+</head>
+<body>
+    <div class="invoice">
+        <div class="parties">
+            <div>
+                <strong>${e(issuer.name)}</strong><br>
+                ${lines(issuer.address)}
+                ${issuer.email ? `<br>${e(issuer.email)}` : ''}
+                ${issuer.taxId ? `<br>Tax ID: ${e(issuer.taxId)}` : ''}
+            </div>
+            <div>
+                <h1>Invoice</h1>
+                <div>No. ${e(invoice.number)}</div>
+                <div>Date: ${e(invoice.issueDate)}</div>
+                <div>Due: ${e(invoice.dueDate)}</div>
+                <div>Period: ${e(invoice.period.from)} to ${e(invoice.period.to)}</div>
+            </div>
+        </div>
+
+        <div>
+            <strong>Bill to:</strong><br>
+            ${e(profile.name)}<br>
+            ${lines(profile.address)}
+        </div>
+
+        <table>
+            <thead>
+                <tr>
+                    <th>Description</th>
+                    <th class="number">Hours</th>
+                    <th class="number">Rate</th>
+                    <th class="number">Amount</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${invoice.items.map(item => `
+                <tr>
+                    <td>${e(item.label)}<div class="details">${item.details.slice(0, 3).map(e).join('; ')}${item.details.length > 3 ? ` (and ${item.details.length - 3} more)` : ''}</div></td>
+                    <td class="number">${item.hours.toFixed(2)}</td>
+                    <td class="number">${money(item.rate)}</td>
+                    <td class="number">${money(item.amount)}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+
+        <table class="totals">
+            <tr><td></td><td class="number">Subtotal</td><td class="number">${money(invoice.subtotal)}</td></tr>
+            <tr><td></td><td class="number">${e(profile.taxLabel)} (${e(invoice.taxRate)}%)</td><td class="number">${money(invoice.tax)}</td></tr>
+            <tr><td></td><td class="number">Total</td><td class="number">${money(invoice.total)}</td></tr>
+        </table>
+
+        <div class="footer">
+            ${e(profile.paymentTerms || `Payable within ${profile.paymentTermsDays} days (by ${invoice.dueDate}).`)}
+            ${issuer.bankDetails ? `<br>${lines(issuer.bankDetails)}` : ''}
+        </div>
+    </div>
+</body>
+</html>`;
+    }
+}
+
+/**
+ * Parse `invoice` command arguments and create the invoice
+ */
+function runInvoiceCommand(args) {
+    if (args.includes('--help') || args.length === 0) {
+        console.log(`
+🧾 Invoice Generator
+====================
+
+Create a printable HTML invoice from one or more analysis JSON files.
+Sessions that are already on an invoice in the ledger are skipped.
+
+Usage:
+  node invoice-generator.js <analysis.json> [more.json ...] --client <profile> [options]
+  node freelancer-worklog.js invoice <analysis.json> [more.json ...] --client <profile> [options]
+
+Options:
+  --client <profile>    Client profile JSON (file or name in ~/.freelancer-worklog/clients)
+  --group <by>          Line items per day, week or task (default: the profile's groupBy or day)
+  --date <YYYY-MM-DD>   Issue date (default: today)
+  --timezone <zone>     Time zone for days and weeks (default: profile, then analysis)
+  --output <file>       HTML file to write (default: reports/invoice_<number>.html)
+  --preview             Render the invoice without recording it in the ledger
+  --pdf                 Also write a PDF next to the HTML invoice
+  --ledger <file>       Ledger file (default: ~/.freelancer-worklog/invoices/ledger.json)
+
+Examples:
+  node invoice-generator.js reports/myrepo_analysis.json --client acme
+  node invoice-generator.js jan.json feb.json --client ./clients/acme.json --group task --preview
+`);
+        process.exit(0);
+    }
+
+    const analysisFiles = [];
+    const options = {};
+    let client = null;
+    let ledgerFile = null;
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        switch (arg) {
+            case '--client':
+                client = args[++i];
+                break;
+            case '--group':
+                options.groupBy = args[++i];
+                break;
+            case '--date':
+                options.date = args[++i];
+                break;
+            case '--timezone':
+                options.timezone = args[++i];
+                break;
+            case '--output':
+                options.output = args[++i];
+                break;
+            case '--pdf':
+                options.pdf = true;
+                break;
+            case '--preview':
+                options.preview = true;
+                break;
+            case '--ledger':
+                ledgerFile = args[++i];
+                break;
+            default:
+                if (!arg.startsWith('--')) {
+                    analysisFiles.push(arg);
+                }
+        }
+    }
+
+    if (!client || analysisFiles.length === 0) {
+        console.error('❌ Please specify analysis files and --client <profile>');
+        process.exit(1);
+    }
+
+    try {
+        new InvoiceGenerator({ ledgerFile }).createInvoice(analysisFiles, client, options);
+    } catch (error) {
+        console.error('❌ Invoice failed:', error.message);
+        process.exit(1);
+    }
+}
+
+// CLI Interface
+if (require.main === module) {
+    runInvoiceCommand(process.argv.slice(2));
+}
+
+module.exports = InvoiceGenerator;
+module.exports.runInvoiceCommand = runInvoiceCommand;
@@ -9,10 +9,20 @@ const https = require('https');
 const http = require('http');
 const { execSync } = require('child_process');
 const fs = require('fs');
+const readline = require('readline');
 const path = require('path');
+const SyncLedger = require('./sync-ledger');
+const KimaiMapping = require('./kimai-mapping');
+const KimaiProvisioner = require('./kimai-provisioner');
+const { resolveTimeZone, formatDateTime } = require('./time-zone');
+
+// Where --provision books sessions without a mapping (the project is named after the repository)
+const PROVISION_DEFAULTS = { customer: 'Freelancer Worklog', activity: 'Development' };
 
 class KimaiIntegration {
     constructor(config = {}) {
+        // Defaults given on the command line apply even when mapping rules are configured
+        this.explicitDefaults = config.defaultProject != null || config.defaultActivity != null;
         this.config = {
             kimaiUrl: config.kimaiUrl || 'http://localhost:8001',
             username: config.username || 'admin',
@@ -98,7 +108,9 @@ class KimaiIntegration {
                             const parsed = responseData ? JSON.parse(responseData) : {};
                             resolve(parsed);
                         } else {
-                            reject(new Error(`HTTP ${res.statusCode}: ${responseData}`));
+                            const error = new Error(`HTTP ${res.statusCode}: ${responseData}`);
+                            error.statusCode = res.statusCode;
+                            reject(error);
                         }
                     } catch (error) {
                         if (res.statusCode >= 200 && res.statusCode < 300) {
@@ -149,10 +161,29 @@ class KimaiIntegration {
     }
 
     /**
-     * Create a timesheet entry in Kimai
+     * Customers, projects and activities, visible and hidden, for resolving mapping names to IDs
      */
-    async createTimesheet(entry) {
-        const timesheetData = {
+    async getEntities() {
+        const [customers, projects, activities] = await Promise.all([
+            this.makeRequest('/api/customers?visible=3'),
+            this.makeRequest('/api/projects?visible=3'),
+            this.makeRequest('/api/activities?visible=3')
+        ]);
+        return { customers, projects, activities };
+    }
+
+    /**
+     * Tags defined in Kimai
+     */
+    async getTags() {
+        return this.makeRequest('/api/tags/find');
+    }
+
+    /**
+     * Timesheet fields sent to Kimai for an entry
+     */
+    buildTimesheetPayload(entry) {
+        return {
             begin: entry.begin,
             end: entry.end,
             project: entry.project || this.config.defaultProject,
@@ -160,56 +191,562 @@ class KimaiIntegration {
             description: entry.description || 'Git commit work',
             tags: entry.tags || ['git', 'development']
         };
+    }
 
-        try {
-            const response = await this.makeRequest('/api/timesheets', 'POST', JSON.stringify(timesheetData));
-            console.log(`✅ Created timesheet entry: ${entry.description} (${entry.duration}h)`);
-            return response;
-        } catch (error) {
-            console.error(`❌ Failed to create timesheet: ${error.message}`);
+    /**
+     * Create a timesheet entry in Kimai
+     * Throws on failure (e.g. a project or activity Kimai rejects) so the import can fail
+     */
+    async createTimesheet(entry) {
+        const response = await this.makeRequest('/api/timesheets', 'POST', JSON.stringify(this.buildTimesheetPayload(entry)));
+        if (!response || !response.id) {
+            throw new Error('Kimai did not return the new timesheet');
+        }
+        console.log(`✅ Created timesheet entry: ${entry.description} (${entry.duration}h)`);
+        return response;
+    }
+
+    /**
+     * Update an existing timesheet entry in Kimai
+     * Throws on failure so callers can tell a deleted timesheet (404) from other errors
+     */
+    async updateTimesheet(id, entry) {
+        const response = await this.makeRequest(`/api/timesheets/${id}`, 'PATCH', JSON.stringify(this.buildTimesheetPayload(entry)));
+        console.log(`🔄 Updated timesheet #${id}: ${entry.description}${entry.duration != null ? ` (${entry.duration}h)` : ''}`);
+        return response;
+    }
+
+    /**
+     * Fetch a single timesheet
+     */
+    async getTimesheet(id) {
+        return this.makeRequest(`/api/timesheets/${id}`);
+    }
+
+    /**
+     * Delete a timesheet; throws on failure
+     */
+    async deleteTimesheet(id) {
+        await this.makeRequest(`/api/timesheets/${id}`, 'DELETE');
+        console.log(`🗑️  Deleted timesheet #${id}`);
+    }
+
+    /**
+     * Fetch the timesheets logged between two dates, all pages
+     */
+    async getTimesheets(begin, end) {
+        const size = 250;
+        const timesheets = [];
+        // Kimai reads begin/end as local date-times of the user's zone; a day of slack covers any offset
+        const format = date => new Date(date).toISOString().slice(0, 19);
+        const from = format(new Date(begin).getTime() - 24 * 60 * 60 * 1000);
+        const to = format(new Date(end).getTime() + 24 * 60 * 60 * 1000);
+
+        for (let page = 1; ; page++) {
+            const batch = await this.makeRequest(`/api/timesheets?begin=${encodeURIComponent(from)}&end=${encodeURIComponent(to)}&size=${size}&page=${page}`);
+            timesheets.push(...batch);
+            if (batch.length < size) {
+                return timesheets;
+            }
+        }
+    }
+
+    /**
+     * Fields of a Kimai timesheet that differ from a payload
+     */
+    describeChanges(existing, payload) {
+        const changes = [];
+        if (Date.parse(existing.begin) !== Date.parse(payload.begin)) changes.push('begin');
+        if (existing.end && Date.parse(existing.end) !== Date.parse(payload.end)) changes.push('end');
+        if (Number(existing.project) !== Number(payload.project)) changes.push('project');
+        if (Number(existing.activity) !== Number(payload.activity)) changes.push('activity');
+        if ((existing.description || '') !== payload.description) changes.push('description');
+        if (existing.tags && [...existing.tags].sort().join(',') !== [...payload.tags].sort().join(',')) changes.push('tags');
+        return changes;
+    }
+
+    /**
+     * Decide for each timesheet whether to create, update or skip it, without writing anything
+     * A session that gained commits since it was imported has a new fingerprint; it updates the
+     * entry it shares commits with. `existing` are timesheets already in Kimai for the period;
+     * those not imported by this tool (not in the ledger) that overlap a planned entry are reported
+     * as overlaps, and so are imported entries that overlap a planned create
+     */
+    buildSyncPlan(timesheets, ledger, existing = [], source = {}) {
+        const imported = new Set(Object.values(ledger.entries).map(entry => entry.timesheetId));
+        const existingById = new Map(existing.map(timesheet => [timesheet.id, timesheet]));
+        const manual = existing.filter(timesheet => !imported.has(timesheet.id));
+        const planned = new Set(timesheets.map(timesheet => timesheet.fingerprint));
+        const claimed = new Set(); // earlier entries matched by commits, each updated once
+        const overlapping = (other, begin, end) => Date.parse(other.begin) < end && (other.end ? Date.parse(other.end) : Infinity) > begin;
+
+        const actions = timesheets.map(timesheet => {
+            const payload = this.buildTimesheetPayload(timesheet);
+            const hash = SyncLedger.contentHash(payload);
+            let known = ledger.get(timesheet.fingerprint);
+            let previousFingerprint = null;
+            if (!known) {
+                previousFingerprint = ledger.findByCommits(timesheet.commits || [], fingerprint => !planned.has(fingerprint) && !claimed.has(fingerprint));
+                if (previousFingerprint) {
+                    claimed.add(previousFingerprint);
+                    known = ledger.get(previousFingerprint);
+                }
+            }
+            const begin = Date.parse(payload.begin);
+            const end = Date.parse(payload.end);
+            const overlaps = manual
+                .filter(other => overlapping(other, begin, end))
+                .map(other => ({ id: other.id, begin: other.begin, end: other.end || null, description: other.description || '' }));
+
+            const action = {
+                action: 'create',
+                fingerprint: timesheet.fingerprint,
+                previousFingerprint,
+                timesheetId: known ? known.timesheetId : null,
+                hash,
+                duration: timesheet.duration,
+                commits: timesheet.commits || [],
+                payload,
+                changes: [],
+                overlaps
+            };
+            if (known && known.hash === hash) {
+                action.action = 'skip';
+            } else if (known) {
+                action.action = 'update';
+                const current = existingById.get(known.timesheetId);
+                action.changes = current
+                    ? this.describeChanges(current, payload)
+                    : ['begin', 'end'].filter(field => known[field] !== payload[field]);
+            }
+            return action;
+        });
+
+        // Timesheets imported earlier that no planned entry updates, but a planned create overlaps,
+        // e.g. from a session whose commits changed completely since: importing would double-book the time
+        const updated = new Set(actions.map(action => action.timesheetId).filter(Boolean));
+        const stale = Object.keys(ledger.entries)
+            .filter(fingerprint => !planned.has(fingerprint) && !claimed.has(fingerprint))
+            .map(fingerprint => ledger.entries[fingerprint])
+            .filter(entry => !updated.has(entry.timesheetId));
+        actions.filter(action => action.action === 'create').forEach(action => {
+            const begin = Date.parse(action.payload.begin);
+            const end = Date.parse(action.payload.end);
+            stale.filter(entry => overlapping(entry, begin, end)).forEach(entry => {
+                const current = existingById.get(entry.timesheetId);
+                action.overlaps.push({
+                    id: entry.timesheetId,
+                    begin: entry.begin,
+                    end: entry.end || null,
+                    description: current ? current.description || '' : '',
+                    imported: true
+                });
+            });
+        });
+
+        const count = type => actions.filter(action => action.action === type).length;
+        return {
+            version: 1,
+            kimaiUrl: this.config.kimaiUrl,
+            createdAt: new Date().toISOString(),
+            source,
+            summary: {
+                create: count('create'),
+                update: count('update'),
+                skip: count('skip'),
+                overlaps: actions.filter(action => action.action !== 'skip' && action.overlaps.length > 0).length
+            },
+            actions
+        };
+    }
+
+    /**
+     * Print a sync plan as a readable diff
+     */
+    printSyncPlan(plan, timeZone = resolveTimeZone()) {
+        const symbols = { create: '+', update: '~', skip: '=' };
+        console.log(`\n📋 Sync plan for ${plan.kimaiUrl}${plan.source.analysis ? ` (${plan.source.analysis})` : ''}:`);
+
+        // A dry run with --provision refers to entities it would create by negative placeholder IDs
+        const provisioned = plan.provisioned || [];
+        const label = (type, id) => {
+            const entity = provisioned.find(item => item.type === type && item.id === id);
+            return entity && id < 0 ? `new ${type} "${entity.name}"` : `${type} ${id}`;
+        };
+        if (provisioned.length > 0) {
+            console.log(`   Kimai entities ${provisioned[0].id < 0 ? 'to create' : 'created'} first: ${provisioned.map(item => `${item.type} "${item.name}"`).join(', ')}`);
+        }
+
+        plan.actions.forEach(action => {
+            const { payload } = action;
+            const id = action.timesheetId ? ` #${action.timesheetId}` : '';
+            console.log(`   ${symbols[action.action]} ${action.action.padEnd(6)}${id} ${formatDateTime(payload.begin, timeZone)} to ${formatDateTime(payload.end, timeZone)} (${action.duration}h) ${label('project', payload.project)}, ${label('activity', payload.activity)}`);
+            console.log(`       ${payload.description.substring(0, 100)}`);
+            if (action.changes.length > 0) {
+                console.log(`       changed: ${action.changes.join(', ')}`);
+            }
+            if (action.action !== 'skip') {
+                action.overlaps.forEach(other => {
+                    console.log(`       ⚠️  overlaps ${other.imported ? 'imported ' : ''}timesheet #${other.id} (${formatDateTime(other.begin, timeZone)} to ${other.end ? formatDateTime(other.end, timeZone) : 'running'}): ${other.description.substring(0, 60)}`);
+                });
+            }
+        });
+
+        const { summary } = plan;
+        console.log(`\n   ${summary.create} to create, ${summary.update} to update, ${summary.skip} unchanged${summary.overlaps > 0 ? `, ⚠️  ${summary.overlaps} overlapping other timesheets` : ''}`);
+    }
+
+    /**
+     * Carry out the create and update actions of a sync plan and record them in the ledger
+     * The run is recorded as a batch (created IDs, previous values of updated entries) for rollback
+     * Returns counts of created, updated, unchanged and failed entries and the batch ID
+     */
+    async applySyncPlan(plan, ledger) {
+        const result = { created: 0, updated: 0, unchanged: 0, failed: 0, batch: null };
+        const batch = ledger.startBatch({ ...plan.source, planCreatedAt: plan.createdAt });
+
+        for (const action of plan.actions) {
+            const entry = { ...action.payload, duration: action.duration };
+            const known = ledger.get(action.fingerprint);
+            // Entry of the same session under its fingerprint before it gained commits
+            const previous = !known && action.previousFingerprint ? ledger.get(action.previousFingerprint) : null;
+
+            if (action.action === 'skip' || (known && known.hash === action.hash)) {
+                // Unchanged, or synced by another run since the plan was made
+                result.unchanged++;
+                continue;
+            }
+
+            let response = null;
+            if (action.action === 'update' || known) {
+                const timesheetId = known ? known.timesheetId : action.timesheetId;
+                try {
+                    const current = await this.getTimesheet(timesheetId);
+                    response = await this.updateTimesheet(timesheetId, entry);
+                    response.id = response.id || timesheetId;
+                    result.updated++;
+                    batch.updated.push({
+                        timesheetId,
+                        fingerprint: action.fingerprint,
+                        previous: {
+                            begin: current.begin,
+                            end: current.end,
+                            // Expanded responses embed the project and activity objects
+                            project: current.project && current.project.id ? current.project.id : current.project,
+                            activity: current.activity && current.activity.id ? current.activity.id : current.activity,
+                            description: current.description,
+                            tags: (current.tags || []).map(tag => (tag && tag.name ? tag.name : tag))
+                        },
+                        previousEntry: known || previous,
+                        previousFingerprint: previous ? action.previousFingerprint : null
+                    });
+                } catch (error) {
+                    if (error.statusCode !== 404) {
+                        console.error(`❌ Failed to update timesheet #${timesheetId}: ${error.message}`);
+                        result.failed++;
+                        continue;
+                    }
+                    // Deleted in Kimai since the last sync: create it again
+                    console.log(`⚠️  Timesheet #${timesheetId} no longer exists in Kimai, creating it again`);
+                    ledger.remove(action.fingerprint);
+                    if (previous) {
+                        ledger.remove(action.previousFingerprint);
+                    }
+                    response = null;
+                }
+            }
+            if (!response) {
+                try {
+                    response = await this.createTimesheet(entry);
+                } catch (error) {
+                    console.error(`❌ Failed to create timesheet: ${error.message}`);
+                    result.failed++;
+                    continue;
+                }
+                result.created++;
+                batch.created.push({ timesheetId: response.id, fingerprint: action.fingerprint });
+            }
+
+            if (previous) {
+                ledger.remove(action.previousFingerprint);
+            }
+            ledger.record(action.fingerprint, {
+                timesheetId: response.id,
+                hash: action.hash,
+                begin: action.payload.begin,
+                end: action.payload.end,
+                commits: action.commits || []
+            });
+            ledger.save();
+
+            // Small delay to avoid overwhelming the API
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+
+        if (batch.created.length === 0 && batch.updated.length === 0) {
+            ledger.discardBatch(batch);
+        } else {
+            result.batch = batch.id;
+        }
+        ledger.save();
+        return result;
+    }
+
+    /**
+     * Fail once a plan was applied as far as possible, when any timesheet could not be synced
+     * The entries that failed are not in the ledger, so running the import again retries them
+     */
+    assertSynced(result) {
+        if (result.failed > 0) {
+            throw new Error(`${result.failed} timesheet${result.failed === 1 ? '' : 's'} could not be synced (see the errors above); run the import again to retry`);
+        }
+    }
+
+    /**
+     * Print the outcome of applying a plan
+     */
+    printSyncResult(result, ledger) {
+        console.log(`\n📈 Import Summary:`);
+        console.log(`✅ Created: ${result.created} entries`);
+        console.log(`🔄 Updated: ${result.updated} entries`);
+        console.log(`⏭️  Unchanged: ${result.unchanged} entries`);
+        console.log(`❌ Failed: ${result.failed} entries`);
+        console.log(`📒 Sync ledger: ${ledger.file}`);
+        if (result.batch) {
+            console.log(`↩️  Batch ${result.batch} (undo with: node kimai-integration.js rollback ${result.batch})`);
+        }
+    }
+
+    /**
+     * List recorded import batches
+     */
+    listBatches(options = {}) {
+        const ledger = new SyncLedger(this.config.kimaiUrl, options.ledgerFile);
+        if (ledger.batches.length === 0) {
+            console.log(`No import batches recorded for ${ledger.server}`);
+            return [];
+        }
+
+        console.log(`\n📦 Import batches for ${ledger.server}:`);
+        ledger.batches.forEach(batch => {
+            const status = batch.rolledBackAt ? `rolled back ${batch.rolledBackAt}` : 'active';
+            console.log(`   ${batch.id}  ${batch.createdAt}  ${batch.created.length} created, ${batch.updated.length} updated  [${status}]`);
+            if (batch.source.analysis) {
+                console.log(`      from ${batch.source.analysis}`);
+            }
+        });
+        return ledger.batches;
+    }
+
+    /**
+     * Ask for confirmation on the terminal
+     * Closing the input without an answer (Ctrl-D) declines
+     */
+    confirm(question) {
+        const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+        return new Promise(resolve => {
+            let answered = false;
+            prompt.on('close', () => {
+                if (!answered) {
+                    answered = true;
+                    resolve(false);
+                }
+            });
+            prompt.question(`${question} [y/N] `, answer => {
+                answered = true;
+                prompt.close();
+                resolve(/^y(es)?$/i.test(answer.trim()));
+            });
+        });
+    }
+
+    /**
+     * Undo an import batch: delete the timesheets it created and restore the ones it updated
+     * Refuses when a later active batch touched the same timesheets (roll that back first, or use `force`)
+     */
+    async rollbackBatch(batchId, options = {}) {
+        const ledger = new SyncLedger(this.config.kimaiUrl, options.ledgerFile);
+        const batch = ledger.findBatch(batchId);
+        if (!batch) {
+            throw new Error(`No import batch "${batchId}" for ${ledger.server} (see: node kimai-integration.js batches)`);
+        }
+        if (batch.rolledBackAt) {
+            throw new Error(`Batch ${batch.id} was already rolled back on ${batch.rolledBackAt}`);
+        }
+        const later = ledger.findLaterBatches(batch);
+        if (later.length > 0 && !options.force) {
+            throw new Error(`Later batches changed the same timesheets: ${later.map(entry => entry.id).join(', ')}. Roll them back first or use --force`);
+        }
+
+        console.log(`\n↩️  Rollback of batch ${batch.id} (${batch.createdAt}):`);
+        batch.created.forEach(entry => console.log(`   - delete timesheet #${entry.timesheetId}`));
+        batch.updated.forEach(entry => console.log(`   ~ restore timesheet #${entry.timesheetId} to ${entry.previous.begin} - ${entry.previous.description || ''}`));
+
+        if (options.dryRun) {
+            console.log('\n🧪 Dry run: nothing was changed in Kimai');
+            return null;
+        }
+        if (!options.yes && !process.stdin.isTTY) {
+            throw new Error('Rollback needs confirmation: run it on a terminal or pass --yes');
+        }
+        if (!options.yes && !(await this.confirm(`Delete ${batch.created.length} and restore ${batch.updated.length} timesheets in ${ledger.server}?`))) {
+            console.log('Rollback cancelled');
             return null;
         }
+
+        const authenticated = await this.authenticate();
+        if (!authenticated) {
+            throw new Error('Failed to authenticate with Kimai');
+        }
+
+        const result = { deleted: 0, restored: 0, failed: 0 };
+        for (const entry of batch.created) {
+            try {
+                await this.deleteTimesheet(entry.timesheetId);
+                result.deleted++;
+            } catch (error) {
+                if (error.statusCode !== 404) {
+                    console.error(`❌ Failed to delete timesheet #${entry.timesheetId}: ${error.message}`);
+                    result.failed++;
+                    continue;
+                }
+                console.log(`⏭️  Timesheet #${entry.timesheetId} was already deleted`);
+                result.deleted++;
+            }
+            if (ledger.findFingerprint(entry.timesheetId) === entry.fingerprint) {
+                ledger.remove(entry.fingerprint);
+            }
+        }
+        for (const entry of batch.updated) {
+            try {
+                await this.updateTimesheet(entry.timesheetId, entry.previous);
+                result.restored++;
+            } catch (error) {
+                console.error(`❌ Failed to restore timesheet #${entry.timesheetId}: ${error.message}`);
+                result.failed++;
+                continue;
+            }
+            if (entry.previousEntry) {
+                // An update of a session that gained commits moved its entry to a new fingerprint
+                if (entry.previousFingerprint) {
+                    ledger.remove(entry.fingerprint);
+                }
+                ledger.record(entry.previousFingerprint || entry.fingerprint, entry.previousEntry);
+            }
+        }
+
+        if (result.failed === 0) {
+            batch.rolledBackAt = new Date().toISOString();
+        }
+        ledger.save();
+
+        console.log(`\n✅ Deleted ${result.deleted}, restored ${result.restored}${result.failed > 0 ? `, ❌ ${result.failed} failed (run rollback again to retry)` : ''}`);
+        return result;
+    }
+
+    /**
+     * Apply a plan saved with `import --dry-run --plan <file>`, exactly as reviewed
+     */
+    async applyPlanFile(planFile, options = {}) {
+        const plan = JSON.parse(fs.readFileSync(planFile, 'utf8'));
+        if (plan.version !== 1 || !Array.isArray(plan.actions)) {
+            throw new Error(`${planFile} is not a sync plan`);
+        }
+        if (plan.kimaiUrl.replace(/\/+$/, '') !== this.config.kimaiUrl.replace(/\/+$/, '')) {
+            throw new Error(`Plan was made for ${plan.kimaiUrl}, not ${this.config.kimaiUrl} (use --kimai-url)`);
+        }
+
+        console.log(`📋 Applying plan ${planFile}: ${plan.summary.create} to create, ${plan.summary.update} to update, ${plan.summary.skip} unchanged`);
+        const authenticated = await this.authenticate();
+        if (!authenticated) {
+            throw new Error('Failed to authenticate with Kimai');
+        }
+
+        const ledger = new SyncLedger(this.config.kimaiUrl, options.ledgerFile);
+        const result = await this.applySyncPlan(plan, ledger);
+        this.printSyncResult(result, ledger);
+        this.assertSynced(result);
+        return result;
     }
 
     /**
      * Convert Git analysis sessions to Kimai timesheet entries
      */
-    convertGitSessionsToTimesheets(gitAnalysis, projectMapping = {}) {
+    convertGitSessionsToTimesheets(gitAnalysis, mapping = new KimaiMapping(), entities = null, options = {}) {
         const timesheets = [];
+        const unmapped = [];
 
         for (const session of gitAnalysis.sessions) {
             const startTime = new Date(session.start);
-            const endTime = new Date(startTime.getTime() + session.duration * 60 * 60 * 1000);
+            const endTime = new Date(startTime.getTime() + session.duration * 60 * 1000); // duration is in minutes
 
-            // Determine project based on repository or custom mapping
-            const repoName = path.basename(gitAnalysis.repository);
-            const project = projectMapping[repoName] || this.config.defaultProject;
+            let ids;
+            try {
+                ids = mapping.resolveIds(this.mapSession(session, gitAnalysis.repository, mapping, options), entities);
+            } catch (error) {
+                unmapped.push(`   ${startTime.toISOString()}  ${session.author}  "${session.description}": ${error.message}`);
+                continue;
+            }
+
+            const tags = ['git', 'development', session.author.toLowerCase().replace(/\s+/g, '-')];
+            if (session.activity) {
+                tags.push(session.activity.toLowerCase().replace(/\s+/g, '-'));
+            }
 
             const timesheet = {
+                fingerprint: SyncLedger.fingerprint(gitAnalysis.repository, session),
+                commits: (session.commits || []).map(commit => commit.hash).filter(Boolean),
                 begin: startTime.toISOString(),
                 end: endTime.toISOString(),
-                project: project,
-                activity: this.config.defaultActivity,
-                description: `${session.description} (${session.commits} commits)`,
-                duration: session.duration,
-                tags: ['git', 'development', session.author.toLowerCase().replace(/\s+/g, '-')]
+                project: ids.project,
+                activity: ids.activity,
+                description: `${session.description} (${session.commitCount} commits)`,
+                duration: session.hours,
+                tags
             };
 
             timesheets.push(timesheet);
         }
 
+        if (unmapped.length > 0) {
+            throw new Error(`${unmapped.length} of ${gitAnalysis.sessions.length} sessions could not be mapped to Kimai:\n${unmapped.join('\n')}`);
+        }
+
         return timesheets;
     }
 
+    /**
+     * Mapping references for a session, falling back to the default project/activity
+     * The built-in defaults only apply without rules, so a session no rule matches is reported.
+     * With `provision` they are names instead of IDs 1, which a fresh Kimai does not have.
+     */
+    mapSession(session, repository, mapping, options = {}) {
+        const reference = mapping.map(session, repository);
+        if (this.explicitDefaults || mapping.rules.length === 0) {
+            const defaults = options.provision && !this.explicitDefaults
+                ? { customer: PROVISION_DEFAULTS.customer, project: path.basename(repository), activity: PROVISION_DEFAULTS.activity }
+                : { customer: null, project: this.config.defaultProject, activity: this.config.defaultActivity };
+            if (reference.project == null) {
+                reference.project = defaults.project;
+                reference.customer = reference.customer != null ? reference.customer : defaults.customer;
+            }
+            reference.activity = reference.activity != null ? reference.activity : defaults.activity;
+        }
+        return reference;
+    }
+
     /**
      * Import Git analysis data into Kimai
+     * Sessions already imported are updated when they changed and skipped otherwise
+     * (see sync-ledger.js), so importing the same analysis again is safe.
+     * With `dryRun` only the plan is printed (and saved to `planFile`, if given).
      */
     async importGitData(gitAnalysisFile, options = {}) {
         try {
             // Read Git analysis results
             const analysisData = JSON.parse(fs.readFileSync(gitAnalysisFile, 'utf8'));
             
-            console.log(`📊 Importing ${analysisData.totalSessions} sessions from Git analysis...`);
+            console.log(`📊 Importing ${analysisData.sessions.length} sessions from Git analysis...`);
 
             // Authenticate with Kimai
             const authenticated = await this.authenticate();
@@ -217,33 +754,109 @@ class KimaiIntegration {
                 throw new Error('Failed to authenticate with Kimai');
             }
 
+            // Map sessions to Kimai customers, projects and activities (IDs or names)
+            const mapping = options.mapping || new KimaiMapping({
+                projects: options.projectMapping,
+                activities: options.activityMapping
+            });
+            const references = analysisData.sessions.map(session => this.mapSession(session, analysisData.repository, mapping, options));
+
+            // Make sure the customers, projects and activities exist, creating them with --provision
+            const provisioner = new KimaiProvisioner(this, { create: options.provision, dryRun: options.dryRun });
+            let entities = null;
+            try {
+                entities = await provisioner.load();
+            } catch (error) {
+                if (options.provision || mapping.needsLookup(references)) {
+                    throw error;
+                }
+                console.error(`⚠️  Could not fetch Kimai projects and activities, they are not checked: ${error.message}`);
+            }
+            if (entities) {
+                await provisioner.ensureReferences(references);
+            }
+
             // Convert sessions to timesheets
-            const timesheets = this.convertGitSessionsToTimesheets(analysisData, options.projectMapping || {});
+            const timesheets = this.convertGitSessionsToTimesheets(analysisData, mapping, entities, options);
+            if (entities && options.provision) {
+                await provisioner.ensureTags([...new Set(timesheets.flatMap(timesheet => timesheet.tags))]);
+            }
             
-            let successCount = 0;
-            let failCount = 0;
-
-            // Create each timesheet entry
-            for (const timesheet of timesheets) {
-                const result = await this.createTimesheet(timesheet);
-                if (result) {
-                    successCount++;
-                } else {
-                    failCount++;
+            // Time already logged in Kimai for the period, to warn about overlaps
+            let existing = [];
+            if (timesheets.length > 0) {
+                try {
+                    existing = await this.getTimesheets(timesheets[0].begin, timesheets[timesheets.length - 1].end);
+                } catch (error) {
+                    console.error(`⚠️  Could not fetch existing timesheets, overlaps are not checked: ${error.message}`);
                 }
-                
-                // Small delay to avoid overwhelming the API
-                await new Promise(resolve => setTimeout(resolve, 100));
             }
 
-            console.log(`\n📈 Import Summary:`);
-            console.log(`✅ Successfully created: ${successCount} entries`);
-            console.log(`❌ Failed to create: ${failCount} entries`);
-            console.log(`⏱️  Total time imported: ${analysisData.totalHours}h`);
+            const ledger = new SyncLedger(this.config.kimaiUrl, options.ledgerFile);
+            const plan = this.buildSyncPlan(timesheets, ledger, existing, {
+                analysis: path.resolve(gitAnalysisFile),
+                repository: analysisData.repository,
+                totalHours: analysisData.totalHours
+            });
+            if (provisioner.created.length > 0) {
+                plan.provisioned = provisioner.created;
+            }
+            const timeZone = resolveTimeZone(options.timezone || analysisData.timezone);
+
+            if (options.planFile && options.dryRun && provisioner.created.length > 0) {
+                // The plan refers to entities that do not exist yet, it could not be applied
+                console.log(`⚠️  Plan not saved: Kimai is missing ${provisioner.created.length} entities; create them first (import with --provision, or bootstrap)`);
+            } else if (options.planFile) {
+                fs.writeFileSync(options.planFile, JSON.stringify(plan, null, 2));
+                console.log(`📝 Plan saved to: ${options.planFile} (apply it with: node kimai-integration.js apply "${options.planFile}")`);
+            }
+            if (options.dryRun) {
+                this.printSyncPlan(plan, timeZone);
+                console.log('\n🧪 Dry run: nothing was written to Kimai');
+                return plan;
+            }
+            if (plan.summary.overlaps > 0) {
+                this.printSyncPlan(plan, timeZone);
+            }
+
+            const result = await this.applySyncPlan(plan, ledger);
+            this.printSyncResult(result, ledger);
+            console.log(`⏱️  Total time in analysis: ${analysisData.totalHours}h`);
+            this.assertSynced(result);
+            return result;
 
         } catch (error) {
-            console.error('❌ Import failed:', error.message);
+            // Mapping, provisioning and API errors reach the caller, so the CLI exits with an error
+            error.message = `Import failed: ${error.message}`;
+            throw error;
+        }
+    }
+
+    /**
+     * Create the customers, projects, activities and tags described in a YAML or JSON file
+     * Entities that already exist (by name) are reused, so bootstrapping again is safe
+     */
+    async bootstrap(definitionFile, options = {}) {
+        const definition = KimaiProvisioner.loadDefinition(definitionFile);
+
+        const authenticated = await this.authenticate();
+        if (!authenticated) {
+            throw new Error('Failed to authenticate with Kimai');
         }
+
+        console.log(`🌱 Bootstrapping ${this.config.kimaiUrl} from ${definitionFile}${options.dryRun ? ' (dry run)' : ''}...`);
+        const provisioner = new KimaiProvisioner(this, { create: true, dryRun: options.dryRun });
+        const result = await provisioner.bootstrap(definition);
+
+        const count = (type, plural) => {
+            const total = result.created.filter(entity => entity.type === type).length;
+            return `${total} ${total === 1 ? type : plural}`;
+        };
+        console.log(`\n✅ ${options.dryRun ? 'Would create' : 'Created'} ${count('customer', 'customers')}, ${count('project', 'projects')}, ${count('activity', 'activities')} and ${count('tag', 'tags')}; ${result.reused.length} already existed`);
+        if (options.dryRun) {
+            console.log('🧪 Dry run: nothing was written to Kimai');
+        }
+        return result;
     }
 
     /**
@@ -256,7 +869,7 @@ class KimaiIntegration {
         try {
             // Run Git analysis
             console.log('🔍 Analyzing Git repository...');
-            const gitCommand = `node "${gitAnalyzerPath}" --repository "${repositoryPath}" --output "${tempFile}"`;
+            let gitCommand = `node "${gitAnalyzerPath}" --repository "${repositoryPath}" --output "${tempFile}"`;
             
             if (options.since) gitCommand += ` --since "${options.since}"`;
             if (options.until) gitCommand += ` --until "${options.until}"`;
@@ -267,11 +880,11 @@ class KimaiIntegration {
             // Import the results
             await this.importGitData(tempFile, options);
 
+        } finally {
             // Clean up temp file
-            fs.unlinkSync(tempFile);
-
-        } catch (error) {
-            console.error('❌ Analysis and import failed:', error.message);
+            if (fs.existsSync(tempFile)) {
+                fs.unlinkSync(tempFile);
+            }
         }
     }
 }
@@ -286,6 +899,8 @@ if (require.main === module) {
 =============================
 
 Import Git commit analysis data directly into Kimai time tracking.
+Imports are idempotent: sessions already in Kimai are updated when they
+changed and skipped otherwise, tracked in a local sync ledger.
 
 Usage:
   node kimai-integration.js [command] [options]
@@ -293,6 +908,12 @@ Usage:
 Commands:
   import <file>         Import Git analysis JSON file into Kimai
   analyze <repo>        Analyze Git repository and import directly
+  apply <plan.json>     Apply a plan saved with --dry-run --plan, exactly as reviewed
+  bootstrap <file>      Create the customers, projects, activities and tags described in a
+                        YAML or JSON file (existing ones are reused; see kimai-provisioner.js)
+  batches               List recorded import batches
+  rollback <batch>      Undo an import batch (ID, unique prefix or "latest"): delete the
+                        timesheets it created and restore the ones it updated
   test-connection       Test connection to Kimai API
 
 Options:
@@ -305,12 +926,30 @@ Options:
   --since <date>        Only import commits since date
   --until <date>        Only import commits until date
   --author <name>       Only import commits by author
+  --dry-run             Show what would be created, updated or skipped without writing to Kimai
+  --provision           Create missing customers, projects, activities and tags named by the
+                        mapping; sessions without one go to project <repository name> of
+                        customer "Freelancer Worklog", activity "Development"
+  --plan <file>         Save the plan as JSON (for review and a later \`apply\`)
+  --yes                 Roll back without asking for confirmation
+  --force               Roll back even if later batches changed the same timesheets
+  --timezone <zone>     Time zone for printed times (default: the analysis time zone)
+  --ledger <file>       Sync ledger (default: ~/.freelancer-worklog/kimai/sync-ledger.json)
+  --mapping <file>      JSON mapping of sessions to Kimai customers, projects and activities:
+                        rules by repository, branch, changed paths, commit type or message,
+                        with Kimai IDs or names (see kimai-mapping.js)
 
 Examples:
   node kimai-integration.js test-connection
   node kimai-integration.js analyze "/path/to/repo"
   node kimai-integration.js import analysis.json --project 2
   node kimai-integration.js analyze . --since "2025-11-01" --author "john@example.com"
+  node kimai-integration.js import analysis.json --dry-run --plan plan.json
+  node kimai-integration.js apply plan.json
+  node kimai-integration.js bootstrap kimai-setup.yml
+  node kimai-integration.js import analysis.json --mapping mapping.json --provision
+  node kimai-integration.js batches
+  node kimai-integration.js rollback latest
 `);
         process.exit(0);
     }
@@ -363,6 +1002,34 @@ Examples:
                     options.author = value;
                     i++;
                     break;
+                case 'dry-run':
+                    options.dryRun = true;
+                    break;
+                case 'provision':
+                    options.provision = true;
+                    break;
+                case 'yes':
+                    options.yes = true;
+                    break;
+                case 'force':
+                    options.force = true;
+                    break;
+                case 'plan':
+                    options.planFile = value;
+                    i++;
+                    break;
+                case 'timezone':
+                    options.timezone = value;
+                    i++;
+                    break;
+                case 'ledger':
+                    options.ledgerFile = value;
+                    i++;
+                    break;
+                case 'mapping':
+                    options.mapping = KimaiMapping.fromFile(value);
+                    i++;
+                    break;
             }
         }
     }
@@ -401,6 +1068,37 @@ Examples:
                     await integration.analyzeAndImport(repo, options);
                     break;
 
+                case 'apply':
+                    const planFile = args[1];
+                    if (!planFile) {
+                        console.error('❌ Please specify a plan file to apply');
+                        process.exit(1);
+                    }
+                    await integration.applyPlanFile(planFile, options);
+                    break;
+
+                case 'batches':
+                    integration.listBatches(options);
+                    break;
+
+                case 'bootstrap':
+                    const definitionFile = args[1];
+                    if (!definitionFile || definitionFile.startsWith('--')) {
+                        console.error('❌ Please specify a YAML or JSON file describing customers and projects');
+                        process.exit(1);
+                    }
+                    await integration.bootstrap(definitionFile, options);
+                    break;
+
+                case 'rollback':
+                    const batchId = args[1];
+                    if (!batchId || batchId.startsWith('--')) {
+                        console.error('❌ Please specify a batch ID (see: node kimai-integration.js batches)');
+                        process.exit(1);
+                    }
+                    await integration.rollbackBatch(batchId, options);
+                    break;
+
                 default:
                     console.error(`❌ Unknown command: ${command}`);
                     console.log('Use --help for usage information');
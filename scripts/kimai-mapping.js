@@ -0,0 +1,231 @@
+/**
+ * Kimai Mapping
+ * Rules that decide which Kimai customer, project and activity a session is booked to.
+ *
+ *   {
+ *     "rules": [
+ *       { "repository": "acme-*", "customer": "Acme Corp", "project": "Website" },
+ *       { "branch": "support/*", "activity": "Support" },
+ *       { "paths": ["docs/**", "*.md"], "activity": "Documentation" },
+ *       { "type": ["fix", "hotfix"], "activity": "Bugfixing" },
+ *       { "message": "^\\[ops\\]", "project": 12, "activity": 4 }
+ *     ],
+ *     "default": { "activity": "Development" },
+ *     "projects": { "legacy-repo": 3 },
+ *     "activities": { "review": 2 }
+ *   }
+ *
+ * A rule matches when all of its criteria match:
+ *   repository  globs tested against the repository directory name
+ *   branch      globs tested against the branches of the session's commits (any)
+ *   paths       globs; matches when any changed path matches
+ *   type        conventional commit types ("feat", "fix", ...); the session's most common type
+ *   message     regexes tested against the commit subjects (any)
+ *   author      regexes tested against the author name and email
+ *
+ * Rules are tried in order and each field (customer, project, activity) is taken
+ * from the first matching rule that sets it, then from `default`. Worklog-Project
+ * and Worklog-Activity trailers take precedence over all rules (a trailer project
+ * is looked up without a customer). Projects and
+ * activities are Kimai IDs or names; names are resolved to IDs through the API,
+ * using the customer to tell projects of the same name apart. `projects` and
+ * `activities` map repository names and trailer values to IDs or names.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp } = require('./commit-filters');
+
+const FIELDS = ['customer', 'project', 'activity'];
+
+// Conventional commit subject: "type(scope)!: description"
+const COMMIT_TYPE_PATTERN = /^(\w+)(?:\([^)]*\))?!?:/;
+
+const list = value => (value == null ? [] : Array.isArray(value) ? value : [value]);
+const normalize = name => String(name).trim().toLowerCase();
+
+class KimaiMapping {
+  constructor(config = {}) {
+    this.rules = (config.rules || []).map((rule, index) => this.compileRule(rule, index));
+    this.defaults = config.default || {};
+    this.projects = config.projects || {};
+    this.activities = config.activities || {};
+  }
+
+  /**
+   * Load a mapping from a JSON file
+   */
+  static fromFile(file) {
+    return new KimaiMapping(JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+
+  /**
+   * Pre-compile a rule's globs and regexes
+   */
+  compileRule(rule, index) {
+    if (!FIELDS.some(field => rule[field] != null)) {
+      throw new Error(`Mapping rule ${index + 1} sets none of ${FIELDS.join(', ')}`);
+    }
+    // A leading slash anchors the glob at the start, so "main" does not match "feature/main"
+    const anchored = glob => globToRegExp(`/${glob}`);
+    return {
+      ...rule,
+      name: rule.name || `rule ${index + 1}`,
+      compiled: {
+        repository: list(rule.repository).map(anchored),
+        branch: list(rule.branch).map(anchored),
+        paths: list(rule.paths).map(globToRegExp),
+        type: list(rule.type).map(normalize),
+        message: list(rule.message).map(pattern => new RegExp(pattern, 'i')),
+        author: list(rule.author).map(pattern => new RegExp(pattern, 'i'))
+      }
+    };
+  }
+
+  /**
+   * Facts about a session that rules are matched against
+   */
+  describeSession(session, repository) {
+    const commits = session.commits || [];
+    const types = new Map();
+    commits.forEach(commit => {
+      const match = (commit.subject || commit.message || '').match(COMMIT_TYPE_PATTERN);
+      if (match) {
+        types.set(normalize(match[1]), (types.get(normalize(match[1])) || 0) + 1);
+      }
+    });
+
+    const mostCommon = [...types.entries()].sort((a, b) => b[1] - a[1])[0];
+
+    return {
+      repository: path.basename(repository || ''),
+      branches: session.branches || [...new Set(commits.map(commit => commit.branch).filter(Boolean))],
+      paths: commits.flatMap(commit => commit.paths || (commit.files || []).map(file => file.path)),
+      type: mostCommon ? mostCommon[0] : null,
+      messages: commits.map(commit => commit.subject || commit.message || ''),
+      authors: [session.author, session.email].filter(Boolean)
+    };
+  }
+
+  /**
+   * Whether every criterion of a rule matches the session facts
+   */
+  matches(rule, facts) {
+    const { compiled } = rule;
+    const any = (patterns, values) => patterns.length === 0 || values.some(value => patterns.some(pattern => pattern.test(value)));
+    return any(compiled.repository, [facts.repository]) &&
+      any(compiled.branch, facts.branches) &&
+      any(compiled.paths, facts.paths) &&
+      (compiled.type.length === 0 || compiled.type.includes(facts.type)) &&
+      any(compiled.message, facts.messages) &&
+      any(compiled.author, facts.authors);
+  }
+
+  /**
+   * Customer, project and activity references for a session (IDs or names, not yet resolved)
+   * with the source of each: { customer, project, activity, sources: { project: 'rule 2', ... } }
+   */
+  map(session, repository) {
+    const facts = this.describeSession(session, repository);
+    const result = { customer: null, project: null, activity: null, sources: {} };
+    const assign = (field, value, source) => {
+      if (result[field] == null && value != null && value !== '') {
+        result[field] = value;
+        result.sources[field] = source;
+      }
+    };
+
+    // Trailers name a project/activity explicitly; legacy maps translate them
+    assign('project', session.project != null ? (this.projects[session.project] || session.project) : null, 'Worklog-Project trailer');
+    assign('activity', session.activity != null ? (this.activities[session.activity] || session.activity) : null, 'Worklog-Activity trailer');
+
+    // A customer only narrows down project names chosen by rules, not a project named in a trailer
+    const fields = result.project != null ? ['activity'] : FIELDS;
+    this.rules.forEach(rule => {
+      if (fields.some(field => rule[field] != null && result[field] == null) && this.matches(rule, facts)) {
+        fields.forEach(field => assign(field, rule[field], rule.name));
+      }
+    });
+
+    assign('project', this.projects[facts.repository], 'repository mapping');
+    fields.forEach(field => assign(field, this.defaults[field], 'default'));
+    return result;
+  }
+
+  /**
+   * Whether any reference is a name that needs the Kimai entity lists
+   */
+  needsLookup(references) {
+    return references.some(reference => FIELDS.some(field =>
+      reference[field] != null && !/^\d+$/.test(String(reference[field]))));
+  }
+
+  /**
+   * Turn a session's references into Kimai IDs
+   * `entities` are the customers, projects and activities from the API (only needed for names)
+   * Returns { project, activity } or throws with the reason
+   */
+  resolveIds(reference, entities = null) {
+    const isId = value => /^\d+$/.test(String(value));
+    const byName = (items, name) => items.filter(item => normalize(item.name) === normalize(name));
+    const lookup = kind => {
+      if (!entities) {
+        throw new Error(`cannot resolve ${kind} names without the Kimai API`);
+      }
+      return entities[kind];
+    };
+
+    let customerId = null;
+    if (reference.customer != null) {
+      if (isId(reference.customer)) {
+        customerId = Number(reference.customer);
+      } else {
+        const customers = byName(lookup('customers'), reference.customer);
+        if (customers.length === 0) {
+          throw new Error(`customer "${reference.customer}" not found in Kimai`);
+        }
+        customerId = customers[0].id;
+      }
+    }
+
+    if (reference.project == null) {
+      throw new Error('no project (no rule, trailer or default matched)');
+    }
+    let projectId;
+    if (isId(reference.project)) {
+      projectId = Number(reference.project);
+    } else {
+      const candidates = byName(lookup('projects'), reference.project)
+        .filter(project => customerId == null || Number(project.customer && project.customer.id ? project.customer.id : project.customer) === customerId);
+      if (candidates.length === 0) {
+        throw new Error(`project "${reference.project}"${reference.customer != null ? ` of customer "${reference.customer}"` : ''} not found in Kimai`);
+      }
+      if (candidates.length > 1) {
+        throw new Error(`project name "${reference.project}" is ambiguous (IDs ${candidates.map(project => project.id).join(', ')}); add "customer" to the rule`);
+      }
+      projectId = candidates[0].id;
+    }
+
+    if (reference.activity == null) {
+      throw new Error('no activity (no rule, trailer or default matched)');
+    }
+    let activityId;
+    if (isId(reference.activity)) {
+      activityId = Number(reference.activity);
+    } else {
+      // Prefer the project's own activity over a global one of the same name
+      const candidates = byName(lookup('activities'), reference.activity);
+      const projectOf = activity => (activity.project && activity.project.id ? activity.project.id : activity.project);
+      const match = candidates.find(activity => Number(projectOf(activity)) === projectId) ||
+        candidates.find(activity => projectOf(activity) == null);
+      if (!match) {
+        throw new Error(`activity "${reference.activity}" not found in Kimai for project ${projectId}`);
+      }
+      activityId = match.id;
+    }
+
+    return { project: projectId, activity: activityId };
+  }
+}
+
+module.exports = KimaiMapping;
@@ -0,0 +1,317 @@
+/**
+ * Kimai Provisioner
+ * Makes sure the customers, projects, activities and tags an import or a
+ * bootstrap file refers to exist in Kimai. Existing entities are reused
+ * (matched by name, ignoring case); missing ones are created through the API
+ * when allowed, otherwise reported.
+ *
+ * Bootstrap file (YAML or JSON):
+ *
+ *   defaults:                 # for new customers
+ *     country: DE
+ *     currency: EUR
+ *     timezone: Europe/Berlin
+ *   customers:
+ *     - name: Acme Corp
+ *       number: C-001
+ *       projects:
+ *         - name: Website
+ *           activities: [Support]   # activities of this project only
+ *         - Mobile App
+ *   activities:               # global activities
+ *     - Development
+ *     - name: Meetings
+ *       billable: false
+ *   tags: [git, development]
+ *
+ * Entities are names or objects with a `name` and optional Kimai fields.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseYaml } = require('./simple-yaml');
+const { resolveTimeZone } = require('./time-zone');
+
+// Optional fields passed through to Kimai when creating an entity
+const OPTIONAL_FIELDS = {
+  customer: ['number', 'comment', 'company', 'vatId', 'contact', 'address', 'email', 'phone', 'homepage', 'color', 'visible', 'billable'],
+  project: ['number', 'orderNumber', 'comment', 'color', 'visible', 'billable', 'globalActivities'],
+  activity: ['number', 'comment', 'color', 'visible', 'billable'],
+  tag: ['color', 'visible']
+};
+
+const ENDPOINTS = {
+  customer: '/api/customers',
+  project: '/api/projects',
+  activity: '/api/activities',
+  tag: '/api/tags'
+};
+
+const COLLECTIONS = {
+  customer: 'customers',
+  project: 'projects',
+  activity: 'activities',
+  tag: 'tags'
+};
+
+const list = value => (value == null ? [] : Array.isArray(value) ? value : [value]);
+const normalize = name => String(name).trim().toLowerCase();
+const isId = value => /^\d+$/.test(String(value));
+// Expanded API responses embed related entities as objects
+const idOf = value => (value && typeof value === 'object' ? value.id : value);
+
+class KimaiProvisioner {
+  /**
+   * `integration` is the KimaiIntegration used for API requests
+   * Options: create (allow creating missing entities), dryRun (only pretend to create them),
+   * defaults (country, currency and timezone of new customers)
+   */
+  constructor(integration, options = {}) {
+    this.integration = integration;
+    this.create = options.create || false;
+    this.dryRun = options.dryRun || false;
+    this.defaults = { country: 'US', currency: 'USD', timezone: resolveTimeZone(), ...options.defaults };
+    this.entities = null;
+    this.created = []; // { type, id, name }
+    this.reused = [];
+    this.nextPlaceholder = -1; // IDs of entities a dry run would create
+  }
+
+  /**
+   * Read a bootstrap definition; .json files are JSON, anything else YAML
+   */
+  static loadDefinition(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    const definition = path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : parseYaml(text);
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new Error(`${file} must describe customers, activities and/or tags`);
+    }
+    return definition;
+  }
+
+  /**
+   * Fetch the customers, projects, activities and tags that exist in Kimai
+   * Tags are optional: without them (older Kimai, missing permission) `ensureTags` does nothing
+   */
+  async load() {
+    this.entities = await this.integration.getEntities();
+    try {
+      this.entities.tags = await this.integration.getTags();
+    } catch (error) {
+      console.error(`⚠️  Could not fetch Kimai tags, they are not provisioned: ${error.message}`);
+      this.entities.tags = null;
+    }
+    return this.entities;
+  }
+
+  /**
+   * Name and optional fields of an entity given as a name or an object
+   */
+  describe(type, definition) {
+    const entity = definition !== null && typeof definition === 'object' ? definition : { name: definition };
+    if (entity.name == null || String(entity.name).trim() === '') {
+      throw new Error(`A ${type} needs a name: ${JSON.stringify(definition)}`);
+    }
+    const payload = { name: String(entity.name).trim(), visible: true };
+    OPTIONAL_FIELDS[type].forEach(field => {
+      if (entity[field] != null) {
+        payload[field] = entity[field];
+      }
+    });
+    return payload;
+  }
+
+  reuse(type, entity) {
+    this.reused.push({ type, id: entity.id, name: entity.name });
+    return entity;
+  }
+
+  /**
+   * Create an entity, or record what a dry run would create
+   */
+  async add(type, payload, context = '') {
+    if (!this.create) {
+      throw new Error(`${type} "${payload.name}"${context} does not exist in Kimai (create it with --provision, or with the bootstrap command)`);
+    }
+
+    let entity;
+    if (this.dryRun) {
+      entity = { ...payload, id: this.nextPlaceholder-- };
+    } else {
+      try {
+        entity = await this.integration.makeRequest(ENDPOINTS[type], 'POST', JSON.stringify(payload));
+      } catch (error) {
+        const reason = error.statusCode === 403 ? 'the Kimai user is not allowed to' : 'Kimai refused to';
+        throw new Error(`Could not create ${type} "${payload.name}"${context}, ${reason} create it: ${error.message}`);
+      }
+    }
+
+    this.entities[COLLECTIONS[type]].push(entity);
+    this.created.push({ type, id: entity.id, name: payload.name });
+    console.log(this.dryRun
+      ? `➕ Would create ${type} "${payload.name}"${context}`
+      : `➕ Created ${type} "${payload.name}"${context} (#${entity.id})`);
+    return entity;
+  }
+
+  async ensureCustomer(definition) {
+    const payload = this.describe('customer', definition);
+    const existing = this.entities.customers.find(customer => normalize(customer.name) === normalize(payload.name));
+    if (existing) {
+      return this.reuse('customer', existing);
+    }
+    const fields = definition !== null && typeof definition === 'object' ? definition : {};
+    ['country', 'currency', 'timezone'].forEach(field => {
+      payload[field] = fields[field] || this.defaults[field];
+    });
+    return this.add('customer', payload);
+  }
+
+  async ensureProject(definition, customer) {
+    const payload = this.describe('project', definition);
+    const existing = this.entities.projects.find(project =>
+      normalize(project.name) === normalize(payload.name) && Number(idOf(project.customer)) === Number(customer.id));
+    if (existing) {
+      return this.reuse('project', existing);
+    }
+    return this.add('project', { ...payload, customer: customer.id }, ` of customer "${customer.name}"`);
+  }
+
+  /**
+   * An activity of `project`, or a global one when `project` is null
+   */
+  async ensureActivity(definition, project = null) {
+    const payload = this.describe('activity', definition);
+    const existing = this.entities.activities.find(activity =>
+      normalize(activity.name) === normalize(payload.name) &&
+      (project ? Number(idOf(activity.project)) === Number(project.id) : idOf(activity.project) == null));
+    if (existing) {
+      return this.reuse('activity', existing);
+    }
+    return project
+      ? this.add('activity', { ...payload, project: project.id }, ` of project "${project.name}"`)
+      : this.add('activity', payload);
+  }
+
+  /**
+   * Create missing tags when allowed; otherwise Kimai creates them with the
+   * timesheet if the user may, so missing tags are not an error
+   */
+  async ensureTags(definitions) {
+    if (!this.entities.tags) {
+      return;
+    }
+    for (const definition of definitions) {
+      const payload = this.describe('tag', definition);
+      const existing = this.entities.tags.find(tag => normalize(tag.name || tag) === normalize(payload.name));
+      if (existing) {
+        this.reuse('tag', typeof existing === 'object' ? existing : { name: existing });
+      } else if (this.create) {
+        await this.add('tag', payload);
+      }
+    }
+  }
+
+  /**
+   * Make sure the customers, projects and activities that mapping references
+   * (see kimai-mapping.js) name exist, creating missing ones when allowed
+   * Numeric references must exist already: Kimai assigns IDs itself
+   */
+  async ensureReferences(references) {
+    const seen = new Set();
+    for (const reference of references) {
+      const key = JSON.stringify([reference.customer, reference.project, reference.activity]);
+      if (seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+
+      const project = await this.ensureProjectReference(reference);
+      if (reference.activity == null) {
+        continue;
+      }
+      if (isId(reference.activity)) {
+        this.requireId('activity', reference.activity);
+      } else if (project && !this.entities.activities.some(activity =>
+        normalize(activity.name) === normalize(reference.activity) &&
+        (idOf(activity.project) == null || Number(idOf(activity.project)) === Number(project.id)))) {
+        // New activities are global, so other projects can use them too
+        await this.ensureActivity(reference.activity);
+      }
+    }
+  }
+
+  /**
+   * The project a reference points to, created with its customer when missing
+   * Returns null when the project is left for the mapping to report (none, or an ambiguous name)
+   */
+  async ensureProjectReference(reference) {
+    if (reference.project == null) {
+      return null;
+    }
+    if (isId(reference.project)) {
+      return this.requireId('project', reference.project);
+    }
+
+    let customer = null;
+    if (reference.customer != null) {
+      customer = isId(reference.customer)
+        ? this.requireId('customer', reference.customer)
+        : await this.ensureCustomer(reference.customer);
+    }
+
+    const candidates = this.entities.projects.filter(project =>
+      normalize(project.name) === normalize(reference.project) &&
+      (!customer || Number(idOf(project.customer)) === Number(customer.id)));
+    if (candidates.length > 0) {
+      return candidates.length === 1 ? this.reuse('project', candidates[0]) : null;
+    }
+    if (!customer) {
+      throw new Error(this.create
+        ? `project "${reference.project}" does not exist in Kimai and cannot be created without a customer; add "customer" to the mapping`
+        : `project "${reference.project}" does not exist in Kimai (create it with --provision, or with the bootstrap command)`);
+    }
+    return this.ensureProject(reference.project, customer);
+  }
+
+  /**
+   * Entity with a numeric ID, which has to exist in Kimai
+   */
+  requireId(type, id) {
+    const entity = this.entities[COLLECTIONS[type]].find(item => Number(item.id) === Number(id));
+    if (!entity) {
+      throw new Error(`${type} #${id} does not exist in Kimai${this.create ? '' : ' (map sessions by name and use --provision, or seed Kimai with the bootstrap command)'}`);
+    }
+    return entity;
+  }
+
+  /**
+   * Seed Kimai from a bootstrap definition
+   * Returns the created and reused entities
+   */
+  async bootstrap(definition) {
+    this.defaults = { ...this.defaults, ...definition.defaults };
+    await this.load();
+
+    for (const customerDefinition of list(definition.customers)) {
+      const customer = await this.ensureCustomer(customerDefinition);
+      for (const projectDefinition of list(customerDefinition.projects)) {
+        const project = await this.ensureProject(projectDefinition, customer);
+        for (const activityDefinition of list(projectDefinition.activities)) {
+          await this.ensureActivity(activityDefinition, project);
+        }
+      }
+    }
+    for (const activityDefinition of list(definition.activities)) {
+      await this.ensureActivity(activityDefinition);
+    }
+    if (definition.tags && !this.entities.tags) {
+      throw new Error('Cannot provision tags: Kimai did not list its tags');
+    }
+    await this.ensureTags(list(definition.tags));
+
+    return { created: this.created, reused: this.reused };
+  }
+}
+
+module.exports = KimaiProvisioner;
@@ -0,0 +1,371 @@
+/**
+ * PDF Writer
+ * Minimal, dependency-free PDF 1.4 generator for text reports: headings,
+ * wrapped paragraphs, tables and horizontal bar charts over as many pages as
+ * needed. Uses the standard Helvetica fonts, so nothing is embedded and no
+ * network or browser is involved.
+ *
+ * Coordinates are in points (1/72 inch) from the top-left corner of the page.
+ * Text is encoded as WinAnsi; characters outside it are replaced with "?".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const PAGE_SIZES = {
+  a4: [595.28, 841.89],
+  letter: [612, 792]
+};
+
+// Advance widths (1/1000 em) of the printable ASCII range 32..126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Characters outside Latin-1 that WinAnsi still has a code for
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+class PdfWriter {
+  constructor(options = {}) {
+    const size = PAGE_SIZES[(options.pageSize || 'a4').toLowerCase()];
+    if (!size) {
+      throw new Error(`Unknown page size "${options.pageSize}". Use ${Object.keys(PAGE_SIZES).join(', ')}`);
+    }
+    [this.pageWidth, this.pageHeight] = size;
+    this.margin = options.margin || 50;
+    this.title = options.title || 'Report';
+    this.author = options.author || null;
+    this.footer = options.footer !== false; // "Title - Page n of N" on every page
+    this.pages = [];
+    this.addPage();
+  }
+
+  get contentWidth() {
+    return this.pageWidth - this.margin * 2;
+  }
+
+  /**
+   * Start a new page and move the cursor to its top margin
+   */
+  addPage() {
+    this.page = [];
+    this.pages.push(this.page);
+    this.y = this.margin;
+  }
+
+  /**
+   * Break to a new page unless `height` points still fit above the bottom margin
+   */
+  ensureSpace(height) {
+    if (this.y + height > this.pageHeight - this.margin) {
+      this.addPage();
+    }
+  }
+
+  moveDown(points = 10) {
+    this.y += points;
+  }
+
+  /**
+   * Map a string to WinAnsi character codes
+   */
+  encode(text) {
+    return Array.from(String(text == null ? '' : text), char => {
+      const code = char.codePointAt(0);
+      if (WIN_ANSI_EXTRAS[char]) {
+        return WIN_ANSI_EXTRAS[char];
+      }
+      if (code === 9) {
+        return 32;
+      }
+      return (code >= 32 && code < 127) || (code >= 160 && code <= 255) ? code : 63;
+    });
+  }
+
+  /**
+   * Width of a string in points
+   */
+  widthOf(text, size = 10, bold = false) {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    const units = this.encode(text).reduce((total, code) => total + (code >= 32 && code <= 126 ? widths[code - 32] : 556), 0);
+    return (units * size) / 1000;
+  }
+
+  /**
+   * Shorten a string with "..." until it fits into `width`
+   */
+  truncate(text, width, size = 10, bold = false) {
+    let value = String(text == null ? '' : text);
+    if (this.widthOf(value, size, bold) <= width) {
+      return value;
+    }
+    while (value.length > 0 && this.widthOf(`${value}...`, size, bold) > width) {
+      value = value.slice(0, -1);
+    }
+    return `${value}...`;
+  }
+
+  /**
+   * Split text into lines no wider than `width`
+   */
+  wrap(text, width, size = 10, bold = false) {
+    const lines = [];
+    String(text == null ? '' : text).split('\n').forEach(paragraph => {
+      let line = '';
+      paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && this.widthOf(candidate, size, bold) > width) {
+          lines.push(line);
+          line = word;
+        } else {
+          line = candidate;
+        }
+      });
+      lines.push(this.truncate(line, width, size, bold));
+    });
+    return lines;
+  }
+
+  /**
+   * PDF color operator for an [r, g, b] triple of 0..1 values
+   */
+  color([r, g, b], stroke = false) {
+    return `${this.number(r)} ${this.number(g)} ${this.number(b)} ${stroke ? 'RG' : 'rg'}`;
+  }
+
+  number(value) {
+    return String(Math.round(value * 100) / 100);
+  }
+
+  /**
+   * Draw a single line of text; `y` is the top of the line
+   */
+  drawText(text, x, y, { size = 10, bold = false, color = [0, 0, 0], align = 'left', width = 0 } = {}) {
+    let left = x;
+    if (align === 'right') {
+      left = x + width - this.widthOf(text, size, bold);
+    } else if (align === 'center') {
+      left = x + (width - this.widthOf(text, size, bold)) / 2;
+    }
+    const codes = this.encode(text).map(code => {
+      const char = String.fromCharCode(code);
+      if (char === '(' || char === ')' || char === '\\') {
+        return `\\${char}`;
+      }
+      return code < 127 ? char : `\\${code.toString(8).padStart(3, '0')}`;
+    }).join('');
+    const baseline = this.pageHeight - y - size * 0.8;
+    this.page.push(`BT ${this.color(color)} /${bold ? 'F2' : 'F1'} ${size} Tf ${this.number(left)} ${this.number(baseline)} Td (${codes}) Tj ET`);
+  }
+
+  /**
+   * Draw a rectangle; `fill` and `stroke` are colors
+   */
+  drawRect(x, y, width, height, { fill = null, stroke = null, lineWidth = 0.5 } = {}) {
+    const ops = [];
+    if (fill) ops.push(this.color(fill));
+    if (stroke) ops.push(this.color(stroke, true), `${lineWidth} w`);
+    ops.push(`${this.number(x)} ${this.number(this.pageHeight - y - height)} ${this.number(width)} ${this.number(height)} re`);
+    ops.push(fill && stroke ? 'B' : fill ? 'f' : 'S');
+    this.page.push(ops.join(' '));
+  }
+
+  drawLine(x1, y1, x2, y2, { color = [0.6, 0.6, 0.6], lineWidth = 0.5 } = {}) {
+    this.page.push(`${this.color(color, true)} ${lineWidth} w ${this.number(x1)} ${this.number(this.pageHeight - y1)} m ${this.number(x2)} ${this.number(this.pageHeight - y2)} l S`);
+  }
+
+  /**
+   * Section heading; level 1 is the document title
+   */
+  heading(text, level = 2) {
+    const size = level === 1 ? 18 : level === 2 ? 13 : 11;
+    this.ensureSpace(size * 3);
+    if (this.y > this.margin) {
+      this.moveDown(level === 1 ? 0 : 8);
+    }
+    this.drawText(this.truncate(text, this.contentWidth, size, true), this.margin, this.y, { size, bold: true });
+    this.moveDown(size * 1.4);
+    if (level <= 2) {
+      this.drawLine(this.margin, this.y, this.margin + this.contentWidth, this.y);
+      this.moveDown(6);
+    }
+  }
+
+  /**
+   * Wrapped text across the content width
+   */
+  paragraph(text, { size = 10, bold = false, color = [0, 0, 0] } = {}) {
+    this.wrap(text, this.contentWidth, size, bold).forEach(line => {
+      this.ensureSpace(size * 1.4);
+      this.drawText(line, this.margin, this.y, { size, bold, color });
+      this.moveDown(size * 1.4);
+    });
+  }
+
+  /**
+   * Label/value lines, e.g. [['Total Hours', '12.5h'], ...]
+   */
+  keyValues(entries, { size = 10, labelWidth = 150 } = {}) {
+    entries.forEach(([label, value]) => {
+      const lines = this.wrap(value, this.contentWidth - labelWidth, size);
+      this.ensureSpace(size * 1.4 * lines.length);
+      this.drawText(this.truncate(label, labelWidth - 10, size, true), this.margin, this.y, { size, bold: true });
+      lines.forEach(line => {
+        this.drawText(line, this.margin + labelWidth, this.y, { size });
+        this.moveDown(size * 1.4);
+      });
+    });
+    this.moveDown(4);
+  }
+
+  /**
+   * Table with a header row repeated on every page
+   * `columns` are { header, width (share of the content width), align }; cells are truncated to fit
+   */
+  table(columns, rows, { size = 9 } = {}) {
+    const totalShare = columns.reduce((total, column) => total + (column.width || 1), 0);
+    const widths = columns.map(column => ((column.width || 1) / totalShare) * this.contentWidth);
+    const rowHeight = size * 1.8;
+    const padding = 4;
+
+    const drawRow = (cells, { bold = false, fill = null } = {}) => {
+      if (fill) {
+        this.drawRect(this.margin, this.y, this.contentWidth, rowHeight, { fill });
+      }
+      let x = this.margin;
+      cells.forEach((cell, index) => {
+        const width = widths[index] - padding * 2;
+        const text = this.truncate(cell, width, size, bold);
+        this.drawText(text, x + padding, this.y + (rowHeight - size) / 2, { size, bold, align: columns[index].align || 'left', width });
+        x += widths[index];
+      });
+      this.moveDown(rowHeight);
+    };
+    const drawHeader = () => drawRow(columns.map(column => column.header), { bold: true, fill: [0.9, 0.92, 0.95] });
+
+    this.ensureSpace(rowHeight * 2);
+    drawHeader();
+    rows.forEach((row, index) => {
+      if (this.y + rowHeight > this.pageHeight - this.margin) {
+        this.addPage();
+        drawHeader();
+      }
+      drawRow(row, { fill: index % 2 === 1 ? [0.97, 0.97, 0.97] : null });
+    });
+    this.moveDown(8);
+  }
+
+  /**
+   * Horizontal bar chart, one bar per { label, value }
+   */
+  barChart(entries, { size = 8, unit = '', labelWidth = 90, color = [0.4, 0.49, 0.92], format = value => value.toFixed(2) } = {}) {
+    const max = Math.max(...entries.map(entry => entry.value), 0);
+    const valueWidth = 60;
+    const barArea = this.contentWidth - labelWidth - valueWidth;
+    const rowHeight = size * 1.9;
+
+    entries.forEach(entry => {
+      this.ensureSpace(rowHeight);
+      this.drawText(this.truncate(entry.label, labelWidth - 6, size), this.margin, this.y + (rowHeight - size) / 2, { size });
+      const width = max > 0 ? (entry.value / max) * barArea : 0;
+      if (width > 0) {
+        this.drawRect(this.margin + labelWidth, this.y + rowHeight * 0.15, Math.max(width, 1), rowHeight * 0.7, { fill: color });
+      }
+      this.drawText(`${format(entry.value)}${unit}`, this.margin + labelWidth + barArea, this.y + (rowHeight - size) / 2, { size, align: 'right', width: valueWidth });
+      this.moveDown(rowHeight);
+    });
+    this.moveDown(8);
+  }
+
+  /**
+   * Escape a string for a PDF literal in the document info
+   */
+  literal(text) {
+    return `(${String(text).replace(/[\\()]/g, match => `\\${match}`).replace(/[^\x20-\x7e]/g, '?')})`;
+  }
+
+  /**
+   * Serialize the document
+   */
+  toBuffer() {
+    const pageCount = this.pages.length;
+    const pageStreams = this.pages.map((ops, index) => {
+      const footer = [];
+      if (this.footer) {
+        const saved = this.page;
+        this.page = footer;
+        const text = `${this.title} - Page ${index + 1} of ${pageCount}`;
+        this.drawText(this.truncate(text, this.contentWidth, 8), this.margin, this.pageHeight - this.margin / 2 - 8, { size: 8, color: [0.5, 0.5, 0.5], align: 'center', width: this.contentWidth });
+        this.page = saved;
+      }
+      return zlib.deflateSync(Buffer.from(ops.concat(footer).join('\n'), 'latin1'));
+    });
+
+    // 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and a content stream per page
+    const objects = [];
+    const pageIds = this.pages.map((_, index) => 6 + index * 2);
+    const created = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageCount} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+    objects[5] = `<< /Title ${this.literal(this.title)}${this.author ? ` /Author ${this.literal(this.author)}` : ''} /Producer (freelancer-worklog) /CreationDate (D:${created}Z) >>`;
+    pageStreams.forEach((stream, index) => {
+      const id = pageIds[index];
+      objects[id] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.pageWidth} ${this.pageHeight}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${id + 1} 0 R >>`;
+      objects[id + 1] = Buffer.concat([
+        Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+        stream,
+        Buffer.from('\nendstream', 'latin1')
+      ]);
+    });
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    const offsets = [];
+    let length = chunks[0].length;
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = length;
+      const body = Buffer.isBuffer(objects[id]) ? objects[id] : Buffer.from(objects[id], 'latin1');
+      const chunk = Buffer.concat([Buffer.from(`${id} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+      chunks.push(chunk);
+      length += chunk.length;
+    }
+
+    const xref = [`xref\n0 ${objects.length}\n0000000000 65535 f \n`];
+    for (let id = 1; id < objects.length; id++) {
+      xref.push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+    }
+    xref.push(`trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${length}\n%%EOF\n`);
+    chunks.push(Buffer.from(xref.join(''), 'latin1'));
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Write the document to a file
+   */
+  save(file) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, this.toBuffer());
+    return file;
+  }
+}
+
+module.exports = PdfWriter;
+module.exports.PAGE_SIZES = PAGE_SIZES;
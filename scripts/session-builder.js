@@ -0,0 +1,109 @@
+/**
+ * Session Builder
+ * Incrementally groups a chronological stream of commits into coding sessions.
+ * Commits and signals have to be added in date order: an older one would be
+ * taken for a gap and split its session, so it is refused.
+ * Every (canonical) author has an independent session track, so a teammate's
+ * commit never ends someone else's session. Activity signals (see
+ * activity-signals.js) take part in the timeline like commits but are kept
+ * apart in `session.signals`.
+ */
+
+class SessionBuilder {
+  constructor(analyzer) {
+    this.analyzer = analyzer;
+    this.sessions = [];
+    this.tracks = new Map(); // author => { session, hints }
+    this.lastDate = null;
+  }
+
+  /**
+   * Add the next commit or signal to its author's track; closes that track's session when the gap is too large
+   */
+  add(commit) {
+    if (this.lastDate && commit.date < this.lastDate) {
+      throw new Error(`${commit.shortHash || `${commit.signal} signal`} from ${commit.date.toISOString()} was added after ${this.lastDate.toISOString()}; sort commits and signals by date before building sessions`);
+    }
+    this.lastDate = commit.date;
+
+    const key = this.trackKey(commit);
+    const track = this.tracks.get(key);
+
+    if (track && this.continuesSession(track, commit)) {
+      const session = track.session;
+      session.end = commit.date;
+      (commit.signal ? session.signals : session.commits).push(commit);
+      this.rememberHints(track, commit);
+      return;
+    }
+
+    this.close(key);
+    const newTrack = {
+      session: {
+        start: commit.date,
+        end: commit.date,
+        commits: commit.signal ? [] : [commit],
+        signals: commit.signal ? [commit] : [],
+        author: commit.author,
+        email: commit.email
+      },
+      hints: {}
+    };
+    this.rememberHints(newTrack, commit);
+    this.tracks.set(key, newTrack);
+  }
+
+  /**
+   * Track key for a commit's author
+   */
+  trackKey(commit) {
+    return commit.author;
+  }
+
+  /**
+   * Track the project/activity hints given so far in a track's open session
+   */
+  rememberHints(track, commit) {
+    const worklog = commit.worklog || {};
+    ['project', 'activity'].forEach(key => {
+      if (worklog[key] && !track.hints[key]) {
+        track.hints[key] = worklog[key];
+      }
+    });
+  }
+
+  /**
+   * Check whether a commit belongs to the track's open session
+   * A commit booked on a different project or activity than the session starts a new one
+   */
+  continuesSession(track, commit) {
+    const gapHours = (commit.date - track.session.end) / (1000 * 60 * 60);
+    const worklog = commit.worklog || {};
+    const conflictingHint = ['project', 'activity'].some(key =>
+      worklog[key] && track.hints[key] && worklog[key] !== track.hints[key]
+    );
+
+    return gapHours <= this.analyzer.maxSessionGap && !conflictingHint;
+  }
+
+  /**
+   * Finalize the open session of a track, if any (split into parts where configured)
+   */
+  close(key) {
+    const track = this.tracks.get(key);
+    if (track) {
+      this.sessions.push(...this.analyzer.finalizeSessions(track.session));
+      this.tracks.delete(key);
+    }
+  }
+
+  /**
+   * Close all open sessions and return every finalized session in start order
+   */
+  finish() {
+    [...this.tracks.keys()].forEach(key => this.close(key));
+    return this.sessions.sort((a, b) => a.start - b.start);
+  }
+}
+
+module.exports = SessionBuilder;
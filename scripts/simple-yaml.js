@@ -0,0 +1,290 @@
+/**
+ * Simple YAML
+ * A parser for the subset of YAML used by configuration files such as the
+ * Kimai bootstrap file, so no YAML package has to be installed:
+ *
+ *   - block mappings (`key: value`) and sequences (`- item`), nested by indentation
+ *   - flow sequences and mappings on one line (`[a, b]`, `{ name: x, billable: false }`)
+ *   - plain, 'single' and "double" quoted scalars; numbers, true/false, null/~
+ *   - comments (`# ...`) and a leading `---`
+ *
+ * Anchors, aliases, tags, multi-line strings and block scalars (`|`, `>`) are
+ * not supported and raise an error naming the line.
+ */
+
+const UNSUPPORTED = /^[&*!|>%@`]/;
+
+const yamlError = (message, line) => new Error(line ? `YAML line ${line}: ${message}` : `YAML: ${message}`);
+
+/**
+ * Remove a trailing comment, leaving # inside quotes alone
+ */
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i);
+    }
+  }
+  return text;
+}
+
+/**
+ * Position of the ":" that separates a mapping key from its value, or -1
+ */
+function findKeySeparator(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if ((char === '"' || char === '\'') && i === 0) {
+      quote = char;
+    } else if (char === '[' || char === '{') {
+      return -1;
+    } else if (char === ':' && (i === text.length - 1 || text[i + 1] === ' ')) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+const isSequenceItem = text => text === '-' || text.startsWith('- ');
+
+/**
+ * Scalar value of a plain or quoted string
+ */
+function parseScalar(text, line) {
+  const value = text.trim();
+  if (value.startsWith('"')) {
+    if (!/^"(?:[^"\\]|\\.)*"$/.test(value)) {
+      throw yamlError(`unterminated string ${value}`, line);
+    }
+    return JSON.parse(value.replace(/\\'/g, '\''));
+  }
+  if (value.startsWith('\'')) {
+    if (!/^'(?:[^']|'')*'$/.test(value)) {
+      throw yamlError(`unterminated string ${value}`, line);
+    }
+    return value.slice(1, -1).replace(/''/g, '\'');
+  }
+  if (UNSUPPORTED.test(value)) {
+    throw yamlError(`"${value[0]}" (anchors, aliases, tags and block scalars) is not supported`, line);
+  }
+  if (value === '' || value === '~' || value === 'null') {
+    return null;
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(value)) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * Value of a flow sequence or mapping written on one line
+ */
+function parseFlow(text, line) {
+  let position = 0;
+  const skipSpace = () => {
+    while (position < text.length && /\s/.test(text[position])) {
+      position++;
+    }
+  };
+  const expect = char => {
+    skipSpace();
+    if (text[position] !== char) {
+      throw yamlError(`expected "${char}" in ${text}`, line);
+    }
+    position++;
+  };
+
+  const parseItem = stops => {
+    skipSpace();
+    const char = text[position];
+    if (char === '[' || char === '{') {
+      return parseCollection();
+    }
+    const start = position;
+    if (char === '"' || char === '\'') {
+      const pattern = char === '"' ? /^"(?:[^"\\]|\\.)*"/ : /^'(?:[^']|'')*'/;
+      const match = text.slice(position).match(pattern);
+      if (!match) {
+        throw yamlError(`unterminated string in ${text}`, line);
+      }
+      position += match[0].length;
+    } else {
+      // A colon only ends a key when followed by a space, so "http://host" stays one value
+      const stopsAt = at => (text[at] === ':'
+        ? stops.includes(':') && /[\s,}]/.test(text[at + 1] || ' ')
+        : stops.includes(text[at]));
+      while (position < text.length && !stopsAt(position)) {
+        position++;
+      }
+    }
+    return parseScalar(text.slice(start, position), line);
+  };
+
+  const parseCollection = () => {
+    skipSpace();
+    const open = text[position++];
+    const close = open === '[' ? ']' : '}';
+    const result = open === '[' ? [] : {};
+    skipSpace();
+    if (text[position] === close) {
+      position++;
+      return result;
+    }
+    for (;;) {
+      if (open === '[') {
+        result.push(parseItem([',', ']']));
+      } else {
+        const key = parseItem([',', '}', ':']);
+        expect(':');
+        result[key] = parseItem([',', '}']);
+      }
+      skipSpace();
+      if (text[position] === ',') {
+        position++;
+        continue;
+      }
+      expect(close);
+      return result;
+    }
+  };
+
+  const value = parseCollection();
+  skipSpace();
+  if (position < text.length) {
+    throw yamlError(`unexpected "${text.slice(position)}" after ${text.slice(0, position)}`, line);
+  }
+  return value;
+}
+
+/**
+ * Value written after "key:" or "- " on the same line
+ */
+function parseInlineValue(text, line) {
+  return text.startsWith('[') || text.startsWith('{') ? parseFlow(text, line) : parseScalar(text, line);
+}
+
+/**
+ * Parse a YAML document into plain objects, arrays and scalars
+ */
+function parseYaml(source) {
+  const lines = [];
+  String(source).split(/\r?\n/).forEach((raw, index) => {
+    const text = stripComment(raw).replace(/\s+$/, '');
+    if (text.trim() === '' || text === '---' || text === '...') {
+      return;
+    }
+    const indent = text.match(/^ */)[0].length;
+    if (text[indent] === '\t') {
+      throw yamlError('tabs are not allowed for indentation', index + 1);
+    }
+    lines.push({ indent, text: text.slice(indent), line: index + 1 });
+  });
+
+  if (lines.length === 0) {
+    return null;
+  }
+
+  // A sequence item or mapping value continuing on the same line ("- name: x") is
+  // parsed as a block starting at the column where the text continues
+  const parseBlockAt = (index, entry, offset) => {
+    lines[index] = { indent: entry.indent + offset, text: entry.text.slice(offset), line: entry.line };
+    return parseNode(index, lines[index].indent);
+  };
+
+  const parseNode = (index, indent) => {
+    return isSequenceItem(lines[index].text) ? parseSequence(index, indent) : parseMapping(index, indent);
+  };
+
+  const parseSequence = (index, indent) => {
+    const items = [];
+    while (index < lines.length && lines[index].indent === indent && isSequenceItem(lines[index].text)) {
+      const entry = lines[index];
+      const rest = entry.text.slice(1).trim();
+      if (rest === '') {
+        if (index + 1 < lines.length && lines[index + 1].indent > indent) {
+          const [value, next] = parseNode(index + 1, lines[index + 1].indent);
+          items.push(value);
+          index = next;
+        } else {
+          items.push(null);
+          index++;
+        }
+      } else if (isSequenceItem(rest) || findKeySeparator(rest) !== -1) {
+        const [value, next] = parseBlockAt(index, entry, entry.text.length - rest.length);
+        items.push(value);
+        index = next;
+      } else {
+        items.push(parseInlineValue(rest, entry.line));
+        index++;
+      }
+    }
+    if (index < lines.length && lines[index].indent > indent) {
+      throw yamlError('unexpected indentation', lines[index].line);
+    }
+    return [items, index];
+  };
+
+  const parseMapping = (index, indent) => {
+    const result = {};
+    while (index < lines.length && lines[index].indent === indent) {
+      const entry = lines[index];
+      if (isSequenceItem(entry.text)) {
+        throw yamlError('a sequence item cannot follow a mapping key at the same level', entry.line);
+      }
+      const separator = findKeySeparator(entry.text);
+      if (separator === -1) {
+        throw yamlError(`expected "key: value", found "${entry.text}"`, entry.line);
+      }
+      const key = parseScalar(entry.text.slice(0, separator), entry.line);
+      if (Object.prototype.hasOwnProperty.call(result, key)) {
+        throw yamlError(`duplicate key "${key}"`, entry.line);
+      }
+      const rest = entry.text.slice(separator + 1).trim();
+      index++;
+      if (rest !== '') {
+        result[key] = parseInlineValue(rest, entry.line);
+      } else if (index < lines.length && lines[index].indent > indent) {
+        [result[key], index] = parseNode(index, lines[index].indent);
+      } else if (index < lines.length && lines[index].indent === indent && isSequenceItem(lines[index].text)) {
+        // Sequences may sit at the same indentation as their key
+        [result[key], index] = parseSequence(index, indent);
+      } else {
+        result[key] = null;
+      }
+    }
+    if (index < lines.length && lines[index].indent > indent) {
+      throw yamlError('unexpected indentation', lines[index].line);
+    }
+    return [result, index];
+  };
+
+  const [value, index] = parseNode(0, lines[0].indent);
+  if (index < lines.length) {
+    throw yamlError(`unexpected "${lines[index].text}" (mixed sequence and mapping, or wrong indentation)`, lines[index].line);
+  }
+  return value;
+}
+
+module.exports = {
+  parseYaml
+};
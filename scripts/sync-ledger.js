@@ -0,0 +1,156 @@
+/**
+ * Sync Ledger
+ * Remembers which Kimai timesheet each analyzed session was imported as, so
+ * repeated imports update or skip entries instead of creating duplicates.
+ *
+ *   {
+ *     "servers": {
+ *       "http://localhost:8001": {
+ *         "<fingerprint>": { "timesheetId": 42, "hash": "...", "begin": "...", "end": "...", "syncedAt": "..." }
+ *       }
+ *     },
+ *     "batches": {
+ *       "http://localhost:8001": [
+ *         { "id": "20251117-203000-1a2b", "createdAt": "...", "source": {...}, "created": [...], "updated": [...] }
+ *       ]
+ *     }
+ *   }
+ *
+ * A session's fingerprint is derived from the repository name, the author and
+ * its first and last commit, so it survives re-analysis with different
+ * settings; the content hash tells whether the timesheet changed since. Entries
+ * also keep the session's commit hashes: a session that gained commits gets a
+ * new fingerprint, and is matched to its earlier entry through the commits.
+ *
+ * Every import run that changes Kimai is recorded as a batch: the timesheets it
+ * created, and for those it updated their previous values, so it can be rolled back.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { resolveWorklogPath } = require('./worklog-home');
+
+const sha1 = value => crypto.createHash('sha1').update(value).digest('hex');
+
+class SyncLedger {
+  constructor(server, file = null) {
+    this.server = server.replace(/\/+$/, '');
+    this.file = file || resolveWorklogPath('kimai', 'sync-ledger.json');
+    this.data = fs.existsSync(this.file)
+      ? JSON.parse(fs.readFileSync(this.file, 'utf8'))
+      : { servers: {} };
+    this.entries = this.data.servers[this.server] || (this.data.servers[this.server] = {});
+    this.data.batches = this.data.batches || {};
+    this.batches = this.data.batches[this.server] || (this.data.batches[this.server] = []);
+  }
+
+  /**
+   * Stable identity of a session: repository + author + first/last commit hash
+   * Sessions without commits (activity signals only) use their start time instead;
+   * parts of a split session add their part number
+   */
+  static fingerprint(repository, session) {
+    const hashes = (session.commits || []).map(commit => commit.hash).filter(Boolean);
+    const anchor = hashes.length > 0
+      ? `${hashes[0]}..${hashes[hashes.length - 1]}`
+      : new Date(session.start).toISOString();
+    const part = session.split ? `#${session.split.part}` : '';
+    return sha1(`${path.basename(repository)}|${session.author}|${anchor}${part}`);
+  }
+
+  /**
+   * Hash of the timesheet fields sent to Kimai
+   */
+  static contentHash(payload) {
+    return sha1(JSON.stringify(payload));
+  }
+
+  get(fingerprint) {
+    return this.entries[fingerprint] || null;
+  }
+
+  record(fingerprint, entry) {
+    this.entries[fingerprint] = { ...entry, syncedAt: new Date().toISOString() };
+  }
+
+  remove(fingerprint) {
+    delete this.entries[fingerprint];
+  }
+
+  /**
+   * Fingerprint of an entry whose session shares commits with `hashes`, and that `accept` allows
+   */
+  findByCommits(hashes, accept = () => true) {
+    const wanted = new Set(hashes);
+    return Object.keys(this.entries).find(fingerprint =>
+      (this.entries[fingerprint].commits || []).some(hash => wanted.has(hash)) && accept(fingerprint)) || null;
+  }
+
+  /**
+   * Fingerprint of the session imported as a Kimai timesheet
+   */
+  findFingerprint(timesheetId) {
+    return Object.keys(this.entries).find(fingerprint => this.entries[fingerprint].timesheetId === timesheetId) || null;
+  }
+
+  /**
+   * Start recording an import run
+   */
+  startBatch(source = {}) {
+    const now = new Date();
+    const batch = {
+      id: `${now.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15)}-${crypto.randomBytes(2).toString('hex')}`,
+      createdAt: now.toISOString(),
+      source,
+      created: [], // { timesheetId, fingerprint }
+      updated: [], // { timesheetId, fingerprint, previous: Kimai fields, previousEntry: ledger entry, previousFingerprint }
+      rolledBackAt: null
+    };
+    this.batches.push(batch);
+    return batch;
+  }
+
+  /**
+   * Forget a batch that did not change anything
+   */
+  discardBatch(batch) {
+    this.batches.splice(this.batches.indexOf(batch), 1);
+  }
+
+  /**
+   * Batch by ID (a unique prefix is enough) or "latest" for the most recent one not rolled back
+   */
+  findBatch(id) {
+    if (id === 'latest') {
+      return [...this.batches].reverse().find(batch => !batch.rolledBackAt) || null;
+    }
+    const matches = this.batches.filter(batch => batch.id.startsWith(id));
+    if (matches.length > 1) {
+      throw new Error(`Batch ID "${id}" is ambiguous: ${matches.map(batch => batch.id).join(', ')}`);
+    }
+    return matches[0] || null;
+  }
+
+  /**
+   * Batches recorded after `batch` that are still active and touched any of its timesheets
+   */
+  findLaterBatches(batch) {
+    const ids = new Set([...batch.created, ...batch.updated].map(entry => entry.timesheetId));
+    return this.batches
+      .slice(this.batches.indexOf(batch) + 1)
+      .filter(later => !later.rolledBackAt && [...later.created, ...later.updated].some(entry => ids.has(entry.timesheetId)));
+  }
+
+  /**
+   * Write the ledger through a temporary file so a crash cannot truncate it
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tempFile = `${this.file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tempFile, this.file);
+  }
+}
+
+module.exports = SyncLedger;
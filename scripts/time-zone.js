@@ -0,0 +1,158 @@
+/**
+ * Time Zone
+ * Calendar days, weeks and ISO 8601 timestamps in an IANA time zone
+ * (e.g. "Europe/Berlin"), independent of the machine's local zone
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const formatters = new Map(); // time zone => Intl.DateTimeFormat
+
+/**
+ * Validate a time zone name; defaults to the machine's zone
+ */
+function resolveTimeZone(timeZone = null) {
+  if (!timeZone) {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (error) {
+    throw new Error(`Unknown time zone "${timeZone}". Use an IANA name such as "Europe/Berlin" or "UTC"`);
+  }
+  return timeZone;
+}
+
+/**
+ * Day index (0 = Sunday) for a week start given as a name, abbreviation or number
+ */
+function parseWeekStart(value = 'sunday') {
+  if (typeof value === 'number' || /^\d$/.test(value)) {
+    return Number(value) % 7;
+  }
+  const name = String(value).toLowerCase();
+  const index = WEEKDAYS.findIndex(day => day === name || day.startsWith(name.slice(0, 3)));
+  if (index === -1) {
+    throw new Error(`Unknown week start "${value}". Use a weekday name such as monday or sunday`);
+  }
+  return index;
+}
+
+/**
+ * Wall-clock fields of a timestamp in a time zone
+ */
+function getZonedParts(date, timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+    formatters.set(timeZone, formatter);
+  }
+
+  const parts = {};
+  formatter.formatToParts(new Date(date)).forEach(part => {
+    if (part.type !== 'literal') {
+      parts[part.type] = parseInt(part.value, 10);
+    }
+  });
+  parts.weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+  return parts;
+}
+
+/**
+ * Offset of a time zone from UTC at a given moment, in minutes
+ */
+function getOffsetMinutes(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wallClock - Math.floor(new Date(date).getTime() / 1000) * 1000) / 60000);
+}
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * "+01:00" style offset
+ */
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+}
+
+/**
+ * Calendar day as YYYY-MM-DD
+ */
+function formatDate(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+}
+
+/**
+ * Time of day as HH:MM:SS
+ */
+function formatTime(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  return `${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}`;
+}
+
+/**
+ * ISO 8601 timestamp with the zone's offset, e.g. 2025-11-18T11:27:31+01:00
+ */
+function formatDateTime(date, timeZone) {
+  return `${formatDate(date, timeZone)}T${formatTime(date, timeZone)}${formatOffset(getOffsetMinutes(date, timeZone))}`;
+}
+
+/**
+ * Moment a wall-clock time, in minutes after midnight of a YYYY-MM-DD day, occurs in a time zone
+ * A time repeated when DST ends resolves to its first occurrence; one skipped when
+ * DST starts to the same distance past the change
+ */
+function zonedTime(day, minutes, timeZone) {
+  const [year, month, date] = day.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, date, 0, minutes);
+  // Offsets a day before and after: they differ on DST change days
+  const offsets = [wallClock - 86400000, wallClock + 86400000].map(moment => getOffsetMinutes(moment, timeZone));
+  const candidates = offsets.map(offset => wallClock - offset * 60000);
+  const valid = candidates.filter((moment, index) => getOffsetMinutes(moment, timeZone) === offsets[index]);
+  return new Date(valid.length > 0 ? Math.min(...valid) : Math.max(...candidates));
+}
+
+/**
+ * Moment the calendar day containing a timestamp began (local midnight)
+ */
+function startOfDay(date, timeZone) {
+  return zonedTime(formatDate(date, timeZone), 0, timeZone);
+}
+
+/**
+ * First day (YYYY-MM-DD) of the week containing a timestamp
+ */
+function startOfWeek(date, timeZone, weekStart = 0) {
+  const parts = getZonedParts(date, timeZone);
+  const daysIntoWeek = (parts.weekday - weekStart + 7) % 7;
+  const start = new Date(Date.UTC(parts.year, parts.month - 1, parts.day - daysIntoWeek));
+  return start.toISOString().slice(0, 10);
+}
+
+module.exports = {
+  WEEKDAYS,
+  resolveTimeZone,
+  parseWeekStart,
+  getZonedParts,
+  getOffsetMinutes,
+  formatOffset,
+  formatDate,
+  formatTime,
+  formatDateTime,
+  zonedTime,
+  startOfDay,
+  startOfWeek
+};
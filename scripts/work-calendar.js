@@ -0,0 +1,287 @@
+/**
+ * Work Calendar
+ * Working hours per weekday, public holidays and personal days off, used to
+ * tag sessions as regular, evening, weekend or holiday work and to find overtime.
+ *
+ *   {
+ *     "timezone": "Europe/Berlin",
+ *     "workingHours": {
+ *       "monday": ["09:00-12:30", "13:30-18:00"],
+ *       "friday": ["09:00-15:00"],
+ *       "saturday": [], "sunday": []
+ *     },
+ *     "dailyHours": 8,
+ *     "holidays": ["2025-12-25", { "date": "2025-12-26", "name": "Boxing Day" }],
+ *     "holidayFiles": ["holidays-de.ics"],
+ *     "daysOff": [{ "from": "2025-08-04", "to": "2025-08-15", "name": "Vacation" }]
+ *   }
+ *
+ * Weekdays missing from `workingHours` default to 09:00-18:00 (Monday-Friday)
+ * or no working hours (weekends). Holiday files are iCalendar (.ics) or JSON
+ * lists in the same format as `holidays`, resolved relative to the calendar file.
+ * Time outside working hours on a workday (evenings, early mornings) counts as
+ * "evening"; days without working hours count as "weekend".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { WEEKDAYS, resolveTimeZone, getZonedParts, formatDate, zonedTime, startOfDay } = require('./time-zone');
+
+const CATEGORIES = ['regular', 'evening', 'weekend', 'holiday'];
+
+const DEFAULT_WORKING_HOURS = {
+  monday: ['09:00-18:00'],
+  tuesday: ['09:00-18:00'],
+  wednesday: ['09:00-18:00'],
+  thursday: ['09:00-18:00'],
+  friday: ['09:00-18:00'],
+  saturday: [],
+  sunday: []
+};
+
+class WorkCalendar {
+  constructor(config = {}, options = {}) {
+    this.timezone = resolveTimeZone(config.timezone || options.timezone);
+    this.dailyHours = config.dailyHours != null ? config.dailyHours : null; // scheduled hours per workday
+    this.workingHours = WEEKDAYS.map(day => {
+      const spec = (config.workingHours || {})[day];
+      return (spec !== undefined ? spec : DEFAULT_WORKING_HOURS[day]).map(window => this.parseWindow(window, day));
+    });
+
+    const baseDir = options.baseDir || '.';
+    this.holidays = new Map(); // YYYY-MM-DD => name
+    this.addDays(this.holidays, config.holidays || [], 'Holiday');
+    (config.holidayFiles || []).forEach(file => {
+      this.addDays(this.holidays, this.readHolidayFile(path.resolve(baseDir, file)), 'Holiday');
+    });
+    this.daysOff = new Map();
+    this.addDays(this.daysOff, config.daysOff || [], 'Day off');
+  }
+
+  /**
+   * Load a calendar from a JSON file; holiday files are resolved relative to it
+   */
+  static fromFile(file, options = {}) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return new WorkCalendar(config, { ...options, baseDir: path.dirname(file) });
+  }
+
+  /**
+   * Parse "09:00-17:30" into minutes since midnight
+   */
+  parseWindow(window, day) {
+    const match = String(window).match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+    if (!match) {
+      throw new Error(`Invalid working hours "${window}" for ${day}. Use "HH:MM-HH:MM"`);
+    }
+    const start = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    const end = parseInt(match[3], 10) * 60 + parseInt(match[4], 10);
+    if (end <= start) {
+      throw new Error(`Working hours "${window}" for ${day} end before they start`);
+    }
+    return { start, end };
+  }
+
+  /**
+   * Add dates, { date, name } and { from, to, name } entries to a day map
+   */
+  addDays(days, entries, defaultName) {
+    entries.forEach(entry => {
+      const item = typeof entry === 'string' ? { date: entry } : entry;
+      const name = item.name || defaultName;
+      const from = item.date || item.from;
+      const to = item.to || from;
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(from || '') || !/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+        throw new Error(`Invalid calendar date ${JSON.stringify(entry)}. Use YYYY-MM-DD`);
+      }
+
+      for (let day = new Date(`${from}T00:00:00Z`); day <= new Date(`${to}T00:00:00Z`); day.setUTCDate(day.getUTCDate() + 1)) {
+        days.set(day.toISOString().slice(0, 10), name);
+      }
+    });
+  }
+
+  /**
+   * Read holidays from an iCalendar (.ics) or JSON file
+   */
+  readHolidayFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    if (file.toLowerCase().endsWith('.ics')) {
+      return this.parseICS(text);
+    }
+    const data = JSON.parse(text);
+    return Array.isArray(data) ? data : (data.holidays || []);
+  }
+
+  /**
+   * Extract { from, to, name } entries from the VEVENTs of an iCalendar file
+   * All-day events end on the day before DTEND (which is exclusive)
+   */
+  parseICS(text) {
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/); // unfold continuation lines
+    const entries = [];
+    let event = null;
+
+    lines.forEach(line => {
+      if (line === 'BEGIN:VEVENT') {
+        event = {};
+      } else if (line === 'END:VEVENT' && event) {
+        if (event.start) {
+          const end = event.end && event.end > event.start ? event.end : null;
+          entries.push({ from: event.start, to: end ? this.previousDay(end) : event.start, name: event.name || 'Holiday' });
+        }
+        event = null;
+      } else if (event) {
+        const match = line.match(/^(DTSTART|DTEND|SUMMARY)(;[^:]*)?:(.*)$/);
+        if (match && match[1] === 'SUMMARY') {
+          event.name = match[3].replace(/\\([,;\\])/g, '$1').trim();
+        } else if (match) {
+          const date = match[3].match(/^(\d{4})(\d{2})(\d{2})/);
+          if (date) {
+            event[match[1] === 'DTSTART' ? 'start' : 'end'] = `${date[1]}-${date[2]}-${date[3]}`;
+          }
+        }
+      }
+    });
+
+    return entries;
+  }
+
+  /**
+   * The day before a YYYY-MM-DD date
+   */
+  previousDay(day) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() - 1);
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * What kind of day a calendar date is: { kind: 'holiday' | 'weekend' | 'workday', name, windows }
+   */
+  describeDay(day, weekday) {
+    if (this.holidays.has(day)) {
+      return { kind: 'holiday', name: this.holidays.get(day), windows: [] };
+    }
+    if (this.daysOff.has(day)) {
+      return { kind: 'holiday', name: this.daysOff.get(day), windows: [] };
+    }
+    const windows = this.workingHours[weekday];
+    return { kind: windows.length > 0 ? 'workday' : 'weekend', name: null, windows };
+  }
+
+  /**
+   * Hours a day is scheduled for: `dailyHours` or the length of its working hours (0 on days off)
+   */
+  scheduledHours(dayInfo) {
+    if (dayInfo.kind !== 'workday') {
+      return 0;
+    }
+    if (this.dailyHours != null) {
+      return this.dailyHours;
+    }
+    return dayInfo.windows.reduce((total, window) => total + (window.end - window.start), 0) / 60;
+  }
+
+  /**
+   * Minutes per category for every calendar day an interval touches
+   */
+  splitInterval(start, end) {
+    const days = [];
+    let dayStart = startOfDay(start, this.timezone);
+
+    while (dayStart < end) {
+      const nextDay = startOfDay(new Date(dayStart.getTime() + 36 * 60 * 60 * 1000), this.timezone);
+      const from = Math.max(start.getTime(), dayStart.getTime());
+      const to = Math.min(end.getTime(), nextDay.getTime());
+      const day = formatDate(dayStart, this.timezone);
+      const info = this.describeDay(day, getZonedParts(dayStart, this.timezone).weekday);
+      const minutes = { regular: 0, evening: 0, weekend: 0, holiday: 0 };
+      const total = (to - from) / (1000 * 60);
+
+      if (info.kind === 'workday') {
+        // Windows are wall-clock times, so they stay put on DST change days
+        info.windows.forEach(window => {
+          const windowFrom = zonedTime(day, window.start, this.timezone).getTime();
+          const windowTo = zonedTime(day, window.end, this.timezone).getTime();
+          minutes.regular += Math.max(Math.min(to, windowTo) - Math.max(from, windowFrom), 0) / (1000 * 60);
+        });
+        minutes.evening = total - minutes.regular;
+      } else {
+        minutes[info.kind] = total;
+      }
+
+      days.push({ day, info, minutes });
+      dayStart = nextDay;
+    }
+
+    return days;
+  }
+
+  /**
+   * Calendar tag for a session booked from its start for its duration
+   * The category is the one most of the session's minutes fall into
+   */
+  tagSession(session) {
+    const start = new Date(session.start);
+    const days = this.splitInterval(start, new Date(start.getTime() + session.duration * 60 * 1000));
+    const minutes = { regular: 0, evening: 0, weekend: 0, holiday: 0 };
+    days.forEach(entry => CATEGORIES.forEach(category => {
+      minutes[category] += entry.minutes[category];
+    }));
+
+    const category = CATEGORIES.reduce((best, candidate) => minutes[candidate] > minutes[best] ? candidate : best, 'regular');
+    const holiday = days.map(entry => entry.info.name).find(Boolean) || null;
+    return {
+      category,
+      holiday,
+      minutes: Object.fromEntries(CATEGORIES.map(key => [key, Math.round(minutes[key])]))
+    };
+  }
+
+  /**
+   * Hours per category, out-of-hours work and overtime beyond the scheduled hours of each day
+   * Each author's work on a day is compared with the scheduled hours on its own
+   */
+  summarize(sessions) {
+    const daily = new Map(); // author and day => totals
+    const minutes = { regular: 0, evening: 0, weekend: 0, holiday: 0 };
+
+    sessions.forEach(session => {
+      const start = new Date(session.start);
+      this.splitInterval(start, new Date(start.getTime() + session.duration * 60 * 1000)).forEach(entry => {
+        const key = JSON.stringify([session.author, entry.day]);
+        const day = daily.get(key) || { date: entry.day, author: session.author, kind: entry.info.kind, name: entry.info.name, scheduledHours: this.scheduledHours(entry.info), minutes: 0 };
+        CATEGORIES.forEach(category => {
+          minutes[category] += entry.minutes[category];
+          day.minutes += entry.minutes[category];
+        });
+        daily.set(key, day);
+      });
+    });
+
+    const round = value => Math.round(value * 100) / 100;
+    const days = [...daily.values()]
+      .sort((a, b) => a.date.localeCompare(b.date) || String(a.author).localeCompare(String(b.author)))
+      .map(day => ({
+        date: day.date,
+        author: day.author,
+        kind: day.kind,
+        name: day.name,
+        hours: round(day.minutes / 60),
+        scheduledHours: round(day.scheduledHours),
+        overtimeHours: round(Math.max(day.minutes / 60 - day.scheduledHours, 0))
+      }));
+
+    return {
+      timezone: this.timezone,
+      hours: Object.fromEntries(CATEGORIES.map(key => [key, round(minutes[key] / 60)])),
+      outOfHoursHours: round((minutes.evening + minutes.weekend + minutes.holiday) / 60),
+      overtimeHours: round(days.reduce((total, day) => total + day.overtimeHours, 0)),
+      days
+    };
+  }
+}
+
+module.exports = WorkCalendar;
+module.exports.CATEGORIES = CATEGORIES;
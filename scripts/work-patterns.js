@@ -0,0 +1,212 @@
+/**
+ * Work Patterns
+ * When work happens: a calendar heatmap, an hour-of-day x weekday matrix,
+ * streaks of active days, typical session start/end times and focus blocks.
+ *
+ * Sessions are counted from their start for their (booked) duration, in the
+ * report's time zone. Days in the heatmap and streaks are keyed by the
+ * session's start day, like the daily totals.
+ */
+
+const { WEEKDAYS, getZonedParts, formatDate, startOfWeek } = require('./time-zone');
+
+const FOCUS_BUCKETS = [
+  { label: '< 30m', max: 30 },
+  { label: '30m-1h', max: 60 },
+  { label: '1-2h', max: 120 },
+  { label: '2-4h', max: 240 },
+  { label: '4h+', max: Infinity }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class WorkPatterns {
+  constructor(options = {}) {
+    this.timezone = options.timezone;
+    this.weekStart = options.weekStart || 0; // day index, 0 = Sunday
+    this.focusMinutes = options.focusMinutes || 90; // shortest session counted as a focus block
+  }
+
+  /**
+   * All pattern statistics for a list of sessions
+   */
+  analyze(sessions) {
+    const daily = new Map(); // YYYY-MM-DD => { hours, sessions }
+    sessions.forEach(session => {
+      const day = formatDate(session.start, this.timezone);
+      const entry = daily.get(day) || { hours: 0, sessions: 0 };
+      entry.hours += session.duration / 60;
+      entry.sessions++;
+      daily.set(day, entry);
+    });
+
+    return {
+      timezone: this.timezone,
+      heatmap: this.buildHeatmap(daily),
+      hourly: this.buildHourlyMatrix(sessions),
+      streaks: this.findStreaks([...daily.keys()].sort()),
+      sessionTimes: this.averageTimes(sessions),
+      focus: this.summarizeFocus(sessions)
+    };
+  }
+
+  /**
+   * Calendar grid of weeks x weekdays (in week start order) from the first to the last active day
+   */
+  buildHeatmap(daily) {
+    const days = [...daily.keys()].sort();
+    if (days.length === 0) {
+      return { from: null, to: null, maxHours: 0, weeks: [] };
+    }
+
+    const round = value => Math.round(value * 100) / 100;
+    const from = days[0];
+    const to = days[days.length - 1];
+    const weeks = [];
+    const last = Date.parse(`${to}T00:00:00Z`);
+    for (let time = Date.parse(`${startOfWeek(`${from}T12:00:00Z`, 'UTC', this.weekStart)}T00:00:00Z`); time <= last; time += 7 * DAY_MS) {
+      weeks.push({
+        start: new Date(time).toISOString().slice(0, 10),
+        days: Array.from({ length: 7 }, (_, offset) => {
+          const date = new Date(time + offset * DAY_MS).toISOString().slice(0, 10);
+          if (date < from || date > to) {
+            return null;
+          }
+          const entry = daily.get(date) || { hours: 0, sessions: 0 };
+          return { date, hours: round(entry.hours), sessions: entry.sessions };
+        })
+      });
+    }
+
+    return {
+      from,
+      to,
+      maxHours: round(Math.max(...[...daily.values()].map(entry => entry.hours))),
+      weeks
+    };
+  }
+
+  /**
+   * Hours worked per weekday (rows, in week start order) and hour of the day (columns)
+   */
+  buildHourlyMatrix(sessions) {
+    const weekdays = WEEKDAYS.map((_, index) => WEEKDAYS[(index + this.weekStart) % 7]);
+    const minutes = weekdays.map(() => new Array(24).fill(0));
+
+    sessions.forEach(session => {
+      let time = new Date(session.start).getTime();
+      const end = time + session.duration * 60 * 1000;
+      while (time < end) {
+        const parts = getZonedParts(time, this.timezone);
+        // Next full hour on the local clock (also right for zones with 30/45 minute offsets)
+        const next = Math.min(time + ((60 - parts.minute) * 60 - parts.second) * 1000, end);
+        minutes[(parts.weekday - this.weekStart + 7) % 7][parts.hour] += (next - time) / (60 * 1000);
+        time = next;
+      }
+    });
+
+    let peak = null;
+    minutes.forEach((row, day) => row.forEach((value, hour) => {
+      if (value > 0 && (!peak || value > peak.minutes)) {
+        peak = { weekday: weekdays[day], hour, minutes: value };
+      }
+    }));
+
+    return {
+      weekdays,
+      hours: minutes.map(row => row.map(value => Math.round((value / 60) * 100) / 100)),
+      peak: peak ? { weekday: peak.weekday, hour: peak.hour, hours: Math.round((peak.minutes / 60) * 100) / 100 } : null
+    };
+  }
+
+  /**
+   * Longest run of consecutive active days and the longest break between active days
+   */
+  findStreaks(days) {
+    let longest = null;
+    let longestBreak = null;
+    let runStart = 0;
+
+    days.forEach((day, index) => {
+      const gap = index > 0 ? Math.round((Date.parse(`${day}T00:00:00Z`) - Date.parse(`${days[index - 1]}T00:00:00Z`)) / DAY_MS) : 1;
+      if (gap > 1) {
+        runStart = index;
+        if (!longestBreak || gap - 1 > longestBreak.days) {
+          longestBreak = { days: gap - 1, from: days[index - 1], to: day };
+        }
+      }
+      const length = index - runStart + 1;
+      if (!longest || length > longest.days) {
+        longest = { days: length, from: days[runStart], to: day };
+      }
+    });
+
+    const totalDays = days.length > 0
+      ? Math.round((Date.parse(`${days[days.length - 1]}T00:00:00Z`) - Date.parse(`${days[0]}T00:00:00Z`)) / DAY_MS) + 1
+      : 0;
+    return { activeDays: days.length, totalDays, longest, longestBreak };
+  }
+
+  /**
+   * Average local start and end time of sessions as HH:MM
+   * Uses a circular mean so sessions around midnight (23:30, 00:30) average to 00:00, not noon
+   */
+  averageTimes(sessions) {
+    if (sessions.length === 0) {
+      return { averageStart: null, averageEnd: null };
+    }
+
+    const minuteOfDay = time => {
+      const parts = getZonedParts(time, this.timezone);
+      return parts.hour * 60 + parts.minute;
+    };
+    const circularMean = values => {
+      const angles = values.map(value => (value / 1440) * 2 * Math.PI);
+      const sin = angles.reduce((total, angle) => total + Math.sin(angle), 0);
+      const cos = angles.reduce((total, angle) => total + Math.cos(angle), 0);
+      const minutes = Math.round(((Math.atan2(sin, cos) / (2 * Math.PI)) * 1440 + 1440) % 1440) % 1440;
+      return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    };
+
+    const starts = sessions.map(session => new Date(session.start).getTime());
+    return {
+      averageStart: circularMean(starts.map(minuteOfDay)),
+      averageEnd: circularMean(sessions.map((session, index) => minuteOfDay(starts[index] + session.duration * 60 * 1000)))
+    };
+  }
+
+  /**
+   * Focus blocks: sessions of at least `focusMinutes`, their share of the hours, and a length histogram
+   */
+  summarizeFocus(sessions) {
+    const durations = sessions.map(session => session.duration).sort((a, b) => a - b);
+    const totalMinutes = durations.reduce((total, value) => total + value, 0);
+    const focus = sessions.filter(session => session.duration >= this.focusMinutes);
+    const focusMinutes = focus.reduce((total, session) => total + session.duration, 0);
+    const longest = sessions.reduce((best, session) => (!best || session.duration > best.duration ? session : best), null);
+    const middle = Math.floor(durations.length / 2);
+    const median = durations.length === 0
+      ? 0
+      : durations.length % 2 === 1 ? durations[middle] : (durations[middle - 1] + durations[middle]) / 2;
+
+    return {
+      thresholdMinutes: this.focusMinutes,
+      blocks: focus.length,
+      focusHours: Math.round((focusMinutes / 60) * 100) / 100,
+      focusShare: totalMinutes > 0 ? Math.round((focusMinutes / totalMinutes) * 100) : 0, // percent of all hours
+      medianMinutes: Math.round(median),
+      longest: longest ? { start: new Date(longest.start).toISOString(), minutes: longest.duration } : null,
+      buckets: FOCUS_BUCKETS.map((bucket, index) => {
+        const min = index > 0 ? FOCUS_BUCKETS[index - 1].max : 0;
+        const matching = sessions.filter(session => session.duration >= min && session.duration < bucket.max);
+        return {
+          label: bucket.label,
+          sessions: matching.length,
+          hours: Math.round((matching.reduce((total, session) => total + session.duration, 0) / 60) * 100) / 100
+        };
+      })
+    };
+  }
+}
+
+module.exports = WorkPatterns;
@@ -0,0 +1,18 @@
+/**
+ * Worklog Home
+ * Resolves the local directory used for caches and ledgers
+ */
+
+const os = require('os');
+const path = require('path');
+
+/**
+ * Resolve a path inside the worklog home directory
+ * Defaults to ~/.freelancer-worklog, override with the WORKLOG_HOME environment variable
+ */
+function resolveWorklogPath(...segments) {
+  const home = process.env.WORKLOG_HOME || path.join(os.homedir(), '.freelancer-worklog');
+  return path.join(home, ...segments);
+}
+
+module.exports = { resolveWorklogPath };